@@ -1,22 +1,41 @@
 // ============================================================================
-// SLIDE PRESENTATION APPLICATION WITH WEBGPU
+// SLIDE PRESENTATION APPLICATION WITH WEBGPU (WEBGL2 / CANVAS2D FALLBACK)
 // ============================================================================
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
+// Layout, animation and grid values can be overridden for a single slide or a
+// whole folder through config.json files (see generate-slides-json.js), where
+// GRID_COLUMNS / GRID_ROWS also fix a grid folder's layout.
 const CONFIG = {
     // Display & Layout
     WINDOW_GAP: 100, // Gap from window edges in pixels
 
+    // Transitions
+    TRANSITION: 'throw', // 'throw', 'fade', 'flip', 'dissolve', 'deal' or 'shuffle' (see TRANSITIONS)
+    TRANSITION_DURATION: 600, // Duration of the transitions other than the throw in ms
+
     // Animation Timing
     THROW_DURATION: 500, // Duration of throw animation in ms
     SLIDE_IN_DURATION: 300, // Duration of slide-in animation in ms
+    CATCH_DURATION: 450, // Duration of the reverse throw when going back in ms
 
     // Throw Animation
     THROW_DISTANCE_MIN: 2.5, // Minimum throw distance
     THROW_DISTANCE_RANGE: 0.5, // Additional random distance range
     THROW_ROTATION_RANGE: 720, // Rotation range (-360 to +360 degrees)
+    THROW_TUMBLE_RANGE: 360, // 3D spin around the card's horizontal and vertical axes (-180 to +180 degrees)
+    THROW_LIFT: 0.6, // How far a thrown card rises towards the camera, in half window heights
+
+    // Drag & Flick (touch, mouse and pen)
+    DRAG_START_DISTANCE: 8, // Pointer movement in px before a press becomes a drag
+    DRAG_ROTATION_FACTOR: 8, // Card tilt in degrees while dragging, per screen half-width
+    FLICK_MIN_VELOCITY: 0.5, // Release speed in px/ms needed to throw, slower drags spring back
+    FLICK_MIN_DISTANCE: 60, // Drag distance in px needed to throw
+    FLICK_SAMPLE_WINDOW: 80, // Time window in ms used to measure the release velocity
+    FLICK_MIN_DURATION: 200, // Shortest throw animation for very fast flicks in ms
+    SPRING_BACK_DURATION: 250, // Duration of the spring back animation in ms
 
     // Next Slide Positioning
     NEXT_SLIDE_ROTATION_RANGE: 10, // Random rotation range (-15 to +15 degrees)
@@ -30,491 +49,3885 @@ const CONFIG = {
     STACK_BASE_SCALE: 0.95, // Base scale for stacked slides
     STACK_POSITION_OFFSET: 3, // Position offset multiplier for stack
 
+    // Camera (3D)
+    CAMERA_PERSPECTIVE: true, // Tilted, lifted and stacked cards are drawn in perspective
+    CAMERA_DISTANCE: 4, // Camera height over the table in half window heights, lower is stronger (keep above 3)
+
+    // Card Look
+    CARD_CORNER_RADIUS: 10, // Rounded corners in pixels, 0 for square cards
+    CARD_BORDER_WIDTH: 0, // Border drawn inside the card edge in pixels, 0 for none
+    CARD_BORDER_COLOR: '#ffffff', // #rgb, #rrggbb or #rrggbbaa
+    SHADOW_OPACITY: 0.5, // Drop shadow under every card, 0 for none
+    SHADOW_BLUR: 24, // Soft edge of the shadow in pixels
+    SHADOW_OFFSET_X: 0, // Shadow offset in pixels for a card resting on the table
+    SHADOW_OFFSET_Y: 10, // (lifted cards cast a longer, fainter shadow)
+
+    // Navigation
+    WRAP_AROUND: true, // Continue at the first slide after the last one (and vice versa)
+
+    // Input (KeyboardEvent.key values, letters are matched case-insensitively)
+    KEY_BINDINGS: {
+        next: ['ArrowRight', 'ArrowDown', 'PageDown', ' '],
+        previous: ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'],
+        first: ['Home'],
+        last: ['End'],
+        blank: ['b', '.'],
+        presenter: ['p'],
+        toggleMedia: ['k'],
+        overview: ['o'],
+        reveal: ['r'],
+        undoReveal: ['z'],
+        revealAll: ['a'],
+        zoomIn: ['+', '='],
+        zoomOut: ['-'],
+        resetZoom: ['Escape'],
+        debug: ['d'],
+    },
+    JUMP_KEY: 'Enter', // Confirms a typed slide number
+    JUMP_INPUT_TIMEOUT: 3000, // Typed slide number is discarded after this many ms
+    PINCH_THRESHOLD: 0.25, // Relative change of the finger distance that counts as a pinch
+
+    // Zoom & Pan (wheel, pinch, Shift+drag a rectangle, double-click resets)
+    ZOOM_MAX: 8, // Largest magnification of the current slide
+    ZOOM_WHEEL_SPEED: 0.002, // Zoom per pixel of wheel scrolling
+    ZOOM_KEY_STEP: 1.5, // Zoom factor of the zoom in and out keys
+    ZOOM_ANIMATION_DURATION: 350, // Zoom to a rectangle, a key step or back in ms
+
+    // Overview (light table of all slides, opened with the overview key or a pinch)
+    OVERVIEW_COLUMNS: 5, // Thumbnails per row
+    OVERVIEW_GAP: 24, // Gap between thumbnails in pixels
+    OVERVIEW_PADDING: 48, // Gap from the window edges in pixels
+    OVERVIEW_TRANSITION_DURATION: 400, // Zoom between deck and overview in ms
+    OVERVIEW_HIGHLIGHT_WIDTH: 4, // Frame around the highlighted thumbnail in pixels
+    OVERVIEW_HIGHLIGHT_COLOR: '#ffffff',
+
     // Performance
     SLIDES_TO_PRELOAD: 5, // Number of slides to preload ahead
+    TEXTURE_BUDGET_MB: 768, // GPU memory for textures before least recently used ones are evicted
+    MAX_CONCURRENT_LOADS: 4, // Images fetched and decoded in parallel
+    PLACEHOLDER_COLOR: '#222222', // Card drawn while its image is still loading
 
     // Grid Layout
     GRID_GAP: 20, // Gap between grid images in pixels
     GRID_ANIMATION_DURATION: 800, // Duration for grid image animations in ms
     GRID_STAGGER_DELAY: 50, // Delay between each image animation in ms
     GRID_ANIMATION_TYPE: 'stagger', // Animation type: 'stagger', 'wave', 'random'
+    GRID_CARD_COLOR: '#111111', // Background of upcoming grid slides in the stack
+    GRID_LAYOUT: 'uniform', // 'uniform', 'justified' rows, 'masonry' columns or 'hero' (see GRID_LAYOUTS)
+    GRID_HERO_STRIP: 0.25, // Largest share of the grid the thumbnails of the 'hero' layout take
+    GRID_FOCUS_DURATION: 450, // Clicked grid image flying to full size and back in ms
+    GRID_FOCUS_DIM: 0.15, // Opacity of the other grid images while one is focused
+
+    // Video & Animated Slides
+    VIDEO_EXTENSIONS: ['.mp4', '.webm'], // Played through a <video> element
+    VIDEO_AUTOPLAY: true, // Start playing when the slide becomes current
+    VIDEO_LOOP: true, // Loop videos and animated images
+    VIDEO_MUTED: true, // Unmuted playback may be blocked without a recent click or key press
+    ANIMATED_FRAME_DURATION: 100, // Fallback frame duration in ms for animated images
+
+    // Text Slides (.md files in slides/)
+    TEXT_SLIDE_ASPECT: 16 / 9, // Card shape until the deck's first image has loaded (manifests without image sizes)
+    TEXT_SLIDE_THEME: {
+        background: '#f4f1ea',
+        color: '#222222',
+        accentColor: '#a8321e', // Headings and list markers
+        fontFamily: 'Georgia, serif',
+        headingFontFamily: 'Arial, sans-serif',
+        fontSize: 0.045, // Body text, fraction of the card height
+        headingScales: [2.2, 1.6, 1.3], // Size of #, ## and ### (and deeper) relative to the body
+        lineHeight: 1.35,
+        blockSpacing: 0.7, // Space between paragraphs, in body line heights
+        padding: 0.08, // Fraction of the card height
+        imageMaxHeight: 0.5, // Fraction of the card height
+        textAlign: 'left' // 'left' or 'center'
+    },
+
+    // Fog of War (map slides, set FOG_OF_WAR in the slide's .config.json)
+    FOG_OF_WAR: false, // Single slides start covered and are uncovered in reveal mode
+    FOG_COLOR: '#1c1e24',
+    FOG_MASK_SIZE: 1024, // Longest side of the reveal mask in pixels
+    FOG_BRUSH_SIZE: 0.06, // Brush diameter, fraction of the slide's longest side
+    FOG_SOFT_EDGE: 0.015, // Soft edge of everything revealed, fraction of the slide's longest side
+    FOG_ROOM_TOLERANCE: 48, // Color difference per channel (0-255) a clicked room spreads over
+    FOG_UNDO_LIMIT: 15, // Reveal steps kept for undo per slide
 
     // Storage
-    COOKIE_EXPIRY_DAYS: 365, // Days until progress cookie expires
-    PROGRESS_COOKIE_NAME: 'slideProgress',
+    PROGRESS_STORAGE_KEY: 'slideProgress', // localStorage key, suffixed with the deck id (and the old progress cookie)
+    PROGRESS_HISTORY_LIMIT: 500, // Slide visits kept in the saved history, oldest dropped first
+    RESUME_MODE: 'ask', // 'ask' to resume or start over, 'resume' silently, 'restart' always from the top
+    FOG_STORAGE_KEY: 'fogOfWar', // localStorage key prefix of the reveal masks, one entry per map
 
     // Data Source
-    SLIDES_JSON_PATH: 'slides.json',
+    SLIDES_JSON_PATH: 'slides.json', // Used when the deployment has no deck index
+    DECK_INDEX_PATH: 'decks.json', // Decks built from decks/<name>/ folders
+    DECK_URL_PARAM: 'deck', // ?deck=<id> opens a deck, without it several decks show a picker
+
+    // Presenter View
+    PRESENTER_URL: 'presenter.html',
+    PRESENTER_WINDOW_FEATURES: 'width=1280,height=800',
+    PRESENTER_CHANNEL: 'slide-presentation', // BroadcastChannel shared by deck and presenter window
+    PRESENTER_UPCOMING_COUNT: 4, // Slides listed after the next-slide preview
+
+    // Rendering
+    RENDERER_ORDER: ['webgpu', 'webgl2', 'canvas2d'], // Backends tried in this order
+    RENDERER_URL_PARAM: 'renderer', // URL parameter that forces a backend
 };
 
+// Progress and the presenter channel are kept apart for each deck of a deployment
+function getDeckScopedName(name) {
+    const deckId = new URLSearchParams(window.location.search).get(CONFIG.DECK_URL_PARAM);
+    return deckId ? `${name}-${deckId}` : name;
+}
+
 // ============================================================================
-// MAIN APPLICATION CLASS
+// INPUT HANDLING
 // ============================================================================
-class SlidePresentation {
-    constructor() {
-        // DOM Elements
-        this.canvas = document.getElementById('slideCanvas');
-        this.loadingEl = document.getElementById('loading');
-        this.errorEl = document.getElementById('error');
+class InputController {
+    constructor(presentation, bindings) {
+        this.presentation = presentation;
+        this.jumpIndicatorEl = document.getElementById('jump-indicator');
+
+        // Key -> action lookup built from the configured bindings
+        this.keyMap = new Map();
+        for (const [action, keys] of Object.entries(bindings)) {
+            for (const key of keys) {
+                this.keyMap.set(this.normalizeKey(key), action);
+            }
+        }
 
-        // Slide Data
-        this.slides = [];
-        this.currentSlideIndex = 0;
-        this.currentSlideType = 'single'; // 'single' or 'grid'
-        this.currentGridConfig = null; // { images, columns, rows }
+        // Slide number typed on the keyboard, confirmed with CONFIG.JUMP_KEY
+        this.jumpBuffer = '';
+        this.jumpTimeout = null;
 
-        // Animation State
-        this.isAnimating = false;
-        this.animationProgress = 0;
-        this.throwDirection = { x: 0, y: 0 };
-        this.throwRotation = 0;
-        this.gridAnimationStartTime = 0;
+        // Active pointer: { id, startX, startY, samples, hasMoved, gesture }, where gesture
+        // is what dragging does: 'drag', 'scroll', 'reveal', 'select', 'pan' or null
+        // (see startGesture)
+        this.canvas = null;
+        this.pointer = null;
 
-        // Slide Dimensions
-        this.originalSlideWidth = 0;  // Original image dimensions (never changes)
-        this.originalSlideHeight = 0;
-        this.displayWidth = 0;         // Display dimensions (recalculated on resize)
-        this.displayHeight = 0;
+        // Touch points for pinch detection: pointerId -> { x, y }
+        this.touches = new Map();
+        this.pinch = null; // { startDistance, lastDistance, lastCenter, wasZoomed, handled }
+    }
 
-        // Next Slide Positioning
-        this.nextSlideRotation = 0;
-        this.nextSlideOffsetX = 0;
-        this.nextSlideOffsetY = 0;
+    attach(canvas) {
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
 
-        // WebGPU Resources
-        this.device = null;
-        this.context = null;
-        this.pipeline = null;
-        this.textureCache = new Map();
-        this.currentTexture = null;       // For single slides
-        this.currentGridTextures = [];    // For grid slides
-        this.nextTextures = [];
+        // The presenter window only has keyboard input
+        if (!canvas) return;
 
-        this.init();
+        const handleBack = (e) => {
+            e.preventDefault();
+            this.presentation.performAction('previous');
+        };
+
+        this.canvas = canvas;
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.handlePointerCancel(e));
+        canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        canvas.addEventListener('dblclick', () => this.handleDoubleClick());
+        canvas.addEventListener('contextmenu', handleBack);
     }
 
-    // ========================================================================
-    // INITIALIZATION
-    // ========================================================================
+    // ------------------------------------------------------------------------
+    // Pointer: tap advances, dragging grabs the top card, a flick throws it.
+    // A tap on a grid image shows it full size, the next tap puts it back.
+    // In the overview a tap picks a thumbnail and dragging scrolls. In reveal
+    // mode dragging brushes the fog away (with Shift a rectangle), a tap
+    // uncovers the room under it. Zoomed in, dragging and taps pan. Shift+drag
+    // zooms to a rectangle, the wheel zooms at the cursor.
+    // ------------------------------------------------------------------------
+
+    handlePointerDown(e) {
+        if (e.pointerType === 'touch') {
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.touches.size === 2) {
+                e.preventDefault();
+                this.canvas.setPointerCapture(e.pointerId);
+                this.startPinch();
+                return;
+            }
+        }
 
-    async init() {
-        try {
-            await this.checkWebGPU();
-            await this.loadSlideList();
-            await this.initWebGPU();
-            this.loadProgress();
-            this.setupCanvas();
-            await this.loadCurrentSlides();
-            this.generateNextSlidePosition();
-            this.updateCanvasSize();
-            this.setupEventListeners();
-            this.loadingEl.style.display = 'none';
-            this.render();
-        } catch (error) {
-            this.showError(error.message);
+        // One pointer at a time, right clicks go through contextmenu
+        if (this.pointer || e.button !== 0) return;
+
+        e.preventDefault();
+        this.canvas.setPointerCapture(e.pointerId);
+        this.pointer = {
+            id: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            samples: [{ x: e.clientX, y: e.clientY, t: e.timeStamp }],
+            hasMoved: false,
+            gesture: null
+        };
+    }
+
+    handlePointerMove(e) {
+        if (this.touches.has(e.pointerId)) {
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.pinch) {
+                this.updatePinch();
+                return;
+            }
+        }
+
+        const pointer = this.pointer;
+        if (!pointer || pointer.id !== e.pointerId) {
+            // Mouse hover highlights thumbnails in the overview
+            if (!pointer && e.pointerType === 'mouse' && this.presentation.isOverviewOpen) {
+                this.presentation.highlightOverviewAt(e.clientX, e.clientY);
+            }
+            return;
+        }
+
+        const last = pointer.samples[pointer.samples.length - 1];
+        pointer.samples.push({ x: e.clientX, y: e.clientY, t: e.timeStamp });
+        // Keep one sample older than the window so the velocity spans all of it
+        while (pointer.samples.length > 2 && pointer.samples[1].t < e.timeStamp - CONFIG.FLICK_SAMPLE_WINDOW) {
+            pointer.samples.shift();
+        }
+
+        const dx = e.clientX - pointer.startX;
+        const dy = e.clientY - pointer.startY;
+
+        if (!pointer.hasMoved && Math.hypot(dx, dy) >= CONFIG.DRAG_START_DISTANCE) {
+            pointer.hasMoved = true;
+            pointer.gesture = this.startGesture(pointer, e);
+        }
+
+        switch (pointer.gesture) {
+            case 'scroll':
+                this.presentation.scrollOverview(last.y - e.clientY);
+                break;
+            case 'reveal':
+                this.presentation.updateReveal(e.clientX, e.clientY);
+                break;
+            case 'select':
+                this.presentation.showSelection(pointer.startX, pointer.startY, e.clientX, e.clientY);
+                break;
+            case 'pan':
+                this.presentation.panBy(e.clientX - last.x, e.clientY - last.y);
+                break;
+            case 'drag':
+                this.presentation.updateDrag(dx, dy);
+                break;
         }
     }
 
-    async checkWebGPU() {
-        if (!navigator.gpu) {
-            throw new Error('WebGPU is not supported in your browser. Please use Chrome/Edge 113+ or another WebGPU-capable browser.');
+    startGesture(pointer, e) {
+        // What a drag does, decided once the pointer has moved far enough
+        const presentation = this.presentation;
+        if (presentation.isOverviewOpen) return 'scroll';
+        if (presentation.isRevealing) {
+            const tool = e.shiftKey ? 'rect' : 'brush';
+            return presentation.beginReveal(pointer.startX, pointer.startY, tool) ? 'reveal' : null;
         }
+        if (e.shiftKey) return 'select';
+        if (presentation.isZoomed()) return 'pan';
+        return presentation.beginDrag(pointer.startX, pointer.startY) ? 'drag' : null;
     }
 
-    async loadSlideList() {
-        const response = await fetch(CONFIG.SLIDES_JSON_PATH);
-        if (!response.ok) {
-            throw new Error(`Failed to load slide list. Please ensure ${CONFIG.SLIDES_JSON_PATH} exists.`);
+    handlePointerUp(e) {
+        this.releaseTouch(e);
+
+        const pointer = this.pointer;
+        if (!pointer || pointer.id !== e.pointerId) return;
+        this.pointer = null;
+
+        if (pointer.gesture === 'drag') {
+            const distance = Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY);
+            this.presentation.endDrag(this.getReleaseVelocity(pointer, e), distance);
+        } else if (pointer.gesture === 'select') {
+            this.presentation.hideSelection();
+            this.presentation.zoomToRect({
+                x: Math.min(pointer.startX, e.clientX),
+                y: Math.min(pointer.startY, e.clientY),
+                width: Math.abs(e.clientX - pointer.startX),
+                height: Math.abs(e.clientY - pointer.startY)
+            });
+        } else if (pointer.gesture) {
+            this.endGesture(pointer);
+        } else if (!pointer.hasMoved) {
+            // Plain tap or click
+            if (this.presentation.isOverviewOpen) {
+                this.presentation.selectOverviewAt(e.clientX, e.clientY);
+            } else if (this.presentation.isRevealing) {
+                this.presentation.revealRoomAt(e.clientX, e.clientY);
+            } else if (this.presentation.isZoomed()) {
+                this.presentation.panTo(e.clientX, e.clientY);
+            } else if (!this.presentation.focusGridImageAt(e.clientX, e.clientY)) {
+                this.presentation.performAction('next');
+            }
         }
-        this.slides = await response.json();
+    }
 
-        if (this.slides.length === 0) {
-            throw new Error('No slides found in the slide list.');
+    handlePointerCancel(e) {
+        this.releaseTouch(e);
+
+        const pointer = this.pointer;
+        if (!pointer || pointer.id !== e.pointerId) return;
+        this.pointer = null;
+        this.endGesture(pointer);
+    }
+
+    endGesture(pointer) {
+        // Ends a gesture without its release effect: no throw, no zoom
+        switch (pointer.gesture) {
+            case 'reveal':
+                this.presentation.endReveal();
+                break;
+            case 'select':
+                this.presentation.hideSelection();
+                break;
+            case 'drag':
+                this.presentation.endDrag({ x: 0, y: 0 }, 0);
+                break;
+        }
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        // Firefox may report lines instead of pixels
+        const lineHeight = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? 16 : 1;
+
+        if (this.presentation.isOverviewOpen) {
+            this.presentation.scrollOverview(e.deltaY * lineHeight);
+        } else {
+            this.presentation.zoomAt(e.clientX, e.clientY, Math.exp(-e.deltaY * lineHeight * CONFIG.ZOOM_WHEEL_SPEED));
+        }
+    }
+
+    handleDoubleClick() {
+        if (this.presentation.isZoomed()) {
+            this.presentation.performAction('resetZoom');
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Pinch: two fingers moving together open the overview, apart close it.
+    // On a slide spreading them zooms in at their center and moving them pans.
+    // ------------------------------------------------------------------------
+
+    startPinch() {
+        // The second finger turns a drag into a pinch
+        if (this.pointer) {
+            this.endGesture(this.pointer);
+            this.pointer = null;
+        }
+
+        const distance = this.getTouchDistance();
+        this.pinch = {
+            startDistance: distance,
+            lastDistance: distance,
+            lastCenter: this.getTouchCenter(),
+            wasZoomed: this.presentation.isZoomed(),
+            handled: false
+        };
+    }
+
+    updatePinch() {
+        const pinch = this.pinch;
+        if (pinch.handled || pinch.startDistance === 0) return;
+
+        const distance = this.getTouchDistance();
+        const center = this.getTouchCenter();
+        const scale = distance / pinch.startDistance;
+        const presentation = this.presentation;
+
+        if (presentation.isOverviewOpen) {
+            if (scale > 1 + CONFIG.PINCH_THRESHOLD) {
+                pinch.handled = true;
+                presentation.performAction('overview');
+            }
+            return;
+        }
+
+        // Pinching in on a slide that is not zoomed opens the overview
+        if (!pinch.wasZoomed && !presentation.isZoomed() && scale < 1 - CONFIG.PINCH_THRESHOLD) {
+            pinch.handled = true;
+            presentation.performAction('overview');
+            return;
+        }
+
+        presentation.zoomAt(center.x, center.y, distance / pinch.lastDistance);
+        presentation.panBy(center.x - pinch.lastCenter.x, center.y - pinch.lastCenter.y);
+        pinch.lastDistance = distance;
+        pinch.lastCenter = center;
+    }
+
+    releaseTouch(e) {
+        this.touches.delete(e.pointerId);
+        if (this.touches.size < 2) {
+            this.pinch = null;
+        }
+    }
+
+    getTouchDistance() {
+        const [a, b] = this.touches.values();
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    getTouchCenter() {
+        const [a, b] = this.touches.values();
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    getReleaseVelocity(pointer, e) {
+        // Average velocity in px/ms over the last CONFIG.FLICK_SAMPLE_WINDOW
+        const first = pointer.samples[0];
+        const elapsed = e.timeStamp - first.t;
+        if (elapsed <= 0) return { x: 0, y: 0 };
+
+        return {
+            x: (e.clientX - first.x) / elapsed,
+            y: (e.clientY - first.y) / elapsed
+        };
+    }
+
+    normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    handleKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        // Slide number entry
+        if (/^[0-9]$/.test(e.key)) {
+            e.preventDefault();
+            this.setJumpBuffer(this.jumpBuffer + e.key);
+            return;
+        }
+
+        if (this.jumpBuffer) {
+            if (e.key === CONFIG.JUMP_KEY) {
+                e.preventDefault();
+                const slideNumber = parseInt(this.jumpBuffer, 10);
+                this.setJumpBuffer('');
+                this.presentation.performAction('jump', slideNumber - 1);
+                return;
+            }
+            if (e.key === 'Escape' || e.key === 'Backspace') {
+                e.preventDefault();
+                this.setJumpBuffer(e.key === 'Backspace' ? this.jumpBuffer.slice(0, -1) : '');
+                return;
+            }
+        }
+
+        if (this.presentation.isOverviewOpen && this.handleOverviewKey(e)) return;
+
+        if (this.presentation.isRevealing && e.key === 'Escape') {
+            e.preventDefault();
+            this.presentation.performAction('reveal');
+            return;
+        }
+
+        const action = this.keyMap.get(this.normalizeKey(e.key));
+        if (!action) return;
+
+        e.preventDefault();
+        this.presentation.performAction(action);
+    }
+
+    handleOverviewKey(e) {
+        // Up and down move the highlight a whole row, Enter picks the slide
+        const rowSteps = { ArrowUp: -1, ArrowDown: 1 };
+
+        if (e.key in rowSteps) {
+            e.preventDefault();
+            this.presentation.performAction('overviewRow', rowSteps[e.key]);
+            return true;
+        }
+        if (e.key === 'Enter' || e.key === 'Escape') {
+            e.preventDefault();
+            this.presentation.performAction(e.key === 'Enter' ? 'select' : 'overview');
+            return true;
         }
+        return false;
     }
 
-    async initWebGPU() {
-        const adapter = await navigator.gpu.requestAdapter();
-        if (!adapter) {
-            throw new Error('Failed to get WebGPU adapter');
+    setJumpBuffer(value) {
+        this.jumpBuffer = value;
+        clearTimeout(this.jumpTimeout);
+
+        if (this.jumpBuffer) {
+            this.jumpTimeout = setTimeout(() => this.setJumpBuffer(''), CONFIG.JUMP_INPUT_TIMEOUT);
+        }
+
+        if (this.jumpIndicatorEl) {
+            this.jumpIndicatorEl.textContent = `Go to slide ${this.jumpBuffer} / ${this.presentation.slides.length}`;
+            this.jumpIndicatorEl.style.display = this.jumpBuffer ? 'block' : 'none';
         }
+    }
+}
 
-        this.device = await adapter.requestDevice();
-        this.context = this.canvas.getContext('webgpu');
+// ============================================================================
+// MEDIA SLIDES
+// ============================================================================
+// Videos and animated images share one interface: load(signal), play(config),
+// pause(), dispose(), `source` for the initial upload and nextFrame() returning
+// a new frame to upload, or null when the picture has not changed since the last call.
+
+class VideoMedia {
+    constructor(path) {
+        this.path = path;
+        this.video = document.createElement('video');
+        this.video.preload = 'auto';
+        this.video.playsInline = true;
+        this.video.muted = true;
+        this.lastFrameTime = -1;
+    }
 
-        const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
-        this.context.configure({
-            device: this.device,
-            format: presentationFormat,
-            alphaMode: 'premultiplied',
+    async load(signal) {
+        await new Promise((resolve, reject) => {
+            this.video.addEventListener('loadeddata', resolve, { once: true });
+            this.video.addEventListener('error', () => reject(new Error(`Failed to load video ${this.path}`)), { once: true });
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    this.dispose();
+                    reject(new DOMException(`Cancelled loading ${this.path}`, 'AbortError'));
+                }, { once: true });
+            }
+            this.video.src = this.path;
         });
+        this.lastFrameTime = this.video.currentTime;
+    }
+
+    get source() {
+        return this.video;
+    }
+
+    get isPlaying() {
+        return !this.video.paused && !this.video.ended;
+    }
+
+    play(config) {
+        this.video.loop = config.VIDEO_LOOP;
+        this.video.muted = config.VIDEO_MUTED;
+        // Autoplay policies may still reject unmuted playback
+        this.video.play().catch(error => console.warn(`Could not play ${this.path}: ${error.message}`));
+    }
+
+    pause() {
+        this.video.pause();
+    }
+
+    restart() {
+        this.video.currentTime = 0;
+    }
+
+    dispose() {
+        // Detaching the source frees the decoder
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+    }
+
+    nextFrame() {
+        if (this.video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) return null;
+        if (this.video.currentTime === this.lastFrameTime) return null;
+
+        this.lastFrameTime = this.video.currentTime;
+        return this.video;
+    }
+}
+
+class AnimatedImageMedia {
+    constructor(path) {
+        this.path = path;
+        this.frames = [];       // { bitmap, duration } in ms
+        this.totalDuration = 0;
+        this.loop = true;
+        this.playStartTime = null;
+        this.pausedElapsed = 0;
+        this.lastFrameIndex = 0;
+    }
+
+    async load(signal) {
+        const response = await fetch(this.path, { signal });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${this.path} (${response.status})`);
+        }
+        const blob = await response.blob();
+        const type = blob.type || (this.path.toLowerCase().endsWith('.gif') ? 'image/gif' : 'image/webp');
+
+        // Without ImageDecoder (WebCodecs) the slide shows its first frame only
+        if (typeof ImageDecoder === 'undefined' || !(await ImageDecoder.isTypeSupported(type))) {
+            this.frames = [{ bitmap: await createImageBitmap(blob), duration: Infinity }];
+            this.totalDuration = Infinity;
+            return;
+        }
+
+        const decoder = new ImageDecoder({ data: await blob.arrayBuffer(), type: type });
+        await decoder.completed;
+        const frameCount = decoder.tracks.selectedTrack.frameCount;
+
+        for (let i = 0; i < frameCount; i++) {
+            const { image } = await decoder.decode({ frameIndex: i });
+            // VideoFrame.duration is in microseconds and may be missing
+            const duration = image.duration ? image.duration / 1000 : CONFIG.ANIMATED_FRAME_DURATION;
+            this.frames.push({ bitmap: await createImageBitmap(image), duration: duration });
+            image.close();
+        }
+        decoder.close();
+
+        this.totalDuration = this.frames.reduce((sum, frame) => sum + frame.duration, 0);
+    }
+
+    get source() {
+        return this.frames[0].bitmap;
+    }
+
+    get isPlaying() {
+        return this.playStartTime !== null && this.frames.length > 1;
+    }
+
+    play(config) {
+        this.loop = config.VIDEO_LOOP;
+        if (this.playStartTime === null) {
+            this.playStartTime = performance.now() - this.pausedElapsed;
+        }
+    }
+
+    pause() {
+        if (this.playStartTime !== null) {
+            this.pausedElapsed = performance.now() - this.playStartTime;
+            this.playStartTime = null;
+        }
+    }
+
+    restart() {
+        this.pausedElapsed = 0;
+        if (this.playStartTime !== null) {
+            this.playStartTime = performance.now();
+        }
+    }
+
+    dispose() {
+        for (const frame of this.frames) {
+            frame.bitmap.close();
+        }
+        this.frames = [];
+    }
+
+    nextFrame() {
+        const elapsed = this.playStartTime !== null ? performance.now() - this.playStartTime : this.pausedElapsed;
+        const frameIndex = this.getFrameIndex(elapsed);
+        if (frameIndex === this.lastFrameIndex) return null;
+
+        this.lastFrameIndex = frameIndex;
+        return this.frames[frameIndex].bitmap;
+    }
+
+    getFrameIndex(elapsed) {
+        if (!this.loop && elapsed >= this.totalDuration) {
+            return this.frames.length - 1;
+        }
+
+        let time = elapsed % this.totalDuration;
+        for (let i = 0; i < this.frames.length; i++) {
+            time -= this.frames[i].duration;
+            if (time < 0) return i;
+        }
+        return this.frames.length - 1;
+    }
+}
+
+// ============================================================================
+// TEXT SLIDES
+// ============================================================================
+// Markdown slides are drawn into a canvas once and uploaded like an image.
+// Supported: # headings, paragraphs, - / 1. lists, **bold**, *italic* and
+// ![alt](image) on its own line. Text that does not fit is scaled down.
+
+class TextSlide {
+    constructor(path, width, height, theme) {
+        this.path = path;
+        this.theme = theme;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = Math.max(1, Math.round(width));
+        this.canvas.height = Math.max(1, Math.round(height));
+        this.ctx = this.canvas.getContext('2d');
+    }
+
+    async load(signal) {
+        const response = await fetch(this.path, { signal });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${this.path} (${response.status})`);
+        }
+        // Front matter (title, notes, config) is read by the generator
+        const markdown = (await response.text()).replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n?/, '');
+
+        const blocks = this.parse(markdown);
+        await this.loadImages(blocks, signal);
+        this.draw(blocks);
+        for (const block of blocks) {
+            if (block.bitmap) block.bitmap.close();
+        }
+    }
 
-        await this.createPipeline(presentationFormat);
+    get source() {
+        return this.canvas;
     }
 
-    async createPipeline(format) {
-        const shaderCode = `
-            struct VertexOutput {
-                @builtin(position) position: vec4<f32>,
-                @location(0) texCoord: vec2<f32>,
+    parse(markdown) {
+        const blocks = [];
+        let paragraph = null;
+        let list = null;
+
+        for (const rawLine of markdown.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            const item = line.match(/^([-*+]|\d+[.)])\s+(.*)$/);
+            const image = line.match(/^!\[([^\]]*)\]\(([^)\s]+)\)$/);
+
+            if (!line) {
+                paragraph = null;
+                list = null;
+            } else if (heading) {
+                blocks.push({ type: 'heading', level: heading[1].length, runs: this.parseInline(heading[2]) });
+                paragraph = null;
+                list = null;
+            } else if (image) {
+                // Image paths are relative to the markdown file
+                const src = new URL(image[2], new URL(this.path, window.location.href)).href;
+                blocks.push({ type: 'image', alt: image[1], src: src, bitmap: null });
+                paragraph = null;
+                list = null;
+            } else if (item) {
+                const ordered = /\d/.test(item[1]);
+                if (!list || list.ordered !== ordered) {
+                    list = { type: 'list', ordered: ordered, items: [] };
+                    blocks.push(list);
+                }
+                list.items.push(this.parseInline(item[2]));
+                paragraph = null;
+            } else if (list) {
+                // Continuation line of the last list item
+                list.items[list.items.length - 1].push({ text: ' ' }, ...this.parseInline(line));
+            } else if (paragraph) {
+                paragraph.runs.push({ text: ' ' }, ...this.parseInline(line));
+            } else {
+                paragraph = { type: 'paragraph', runs: this.parseInline(line) };
+                blocks.push(paragraph);
             }
+        }
+        return blocks;
+    }
 
-            struct Uniforms {
-                transform: mat4x4<f32>,
-                opacity: f32,
-                depth: f32,
+    parseInline(text) {
+        // Runs of { text, bold, italic }
+        const runs = [];
+        const pattern = /\*\*(.+?)\*\*|\*(.+?)\*|(?<!\w)_(.+?)_(?!\w)/g;
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index > last) {
+                runs.push({ text: text.slice(last, match.index) });
+            }
+            if (match[1] !== undefined) {
+                runs.push({ text: match[1], bold: true });
+            } else {
+                runs.push({ text: match[2] !== undefined ? match[2] : match[3], italic: true });
             }
+            last = pattern.lastIndex;
+        }
+        if (last < text.length) {
+            runs.push({ text: text.slice(last) });
+        }
+        return runs;
+    }
 
-            @group(0) @binding(0) var<uniform> uniforms: Uniforms;
-            @group(0) @binding(1) var textureSampler: sampler;
-            @group(0) @binding(2) var textureData: texture_2d<f32>;
+    async loadImages(blocks, signal) {
+        // A broken image is left out instead of failing the whole slide
+        await Promise.all(blocks.filter(block => block.type === 'image').map(async (block) => {
+            try {
+                const response = await fetch(block.src, { signal });
+                if (!response.ok) {
+                    throw new Error(`${response.status}`);
+                }
+                block.bitmap = await createImageBitmap(await response.blob());
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Could not load ${block.src} in ${this.path}: ${error.message}`);
+            }
+        }));
+    }
 
-            @vertex
-            fn vs_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
-                var pos = array<vec2<f32>, 6>(
-                    vec2<f32>(-1.0, -1.0),
-                    vec2<f32>(1.0, -1.0),
-                    vec2<f32>(1.0, 1.0),
-                    vec2<f32>(-1.0, -1.0),
-                    vec2<f32>(1.0, 1.0),
-                    vec2<f32>(-1.0, 1.0)
-                );
+    getFont(size, bold, italic, family) {
+        return `${italic ? 'italic ' : ''}${bold ? 'bold ' : ''}${size}px ${family}`;
+    }
 
-                var texCoord = array<vec2<f32>, 6>(
-                    vec2<f32>(0.0, 1.0),
-                    vec2<f32>(1.0, 1.0),
-                    vec2<f32>(1.0, 0.0),
-                    vec2<f32>(0.0, 1.0),
-                    vec2<f32>(1.0, 0.0),
-                    vec2<f32>(0.0, 0.0)
-                );
+    wrap(runs, size, bold, family, maxWidth) {
+        // Lines of { text, font, width } segments, broken between words
+        const lines = [[]];
+        let x = 0;
+        for (const run of runs) {
+            const font = this.getFont(size, bold || run.bold, run.italic, family);
+            this.ctx.font = font;
+
+            for (const word of run.text.split(/(\s+)/)) {
+                if (!word) continue;
+                const isSpace = /^\s+$/.test(word);
+                if (isSpace && x === 0) continue;
+
+                const text = isSpace ? ' ' : word;
+                const width = this.ctx.measureText(text).width;
+                if (!isSpace && x > 0 && x + width > maxWidth) {
+                    lines.push([]);
+                    x = 0;
+                }
+                lines[lines.length - 1].push({ text, font, width });
+                x += width;
+            }
+        }
 
-                var output: VertexOutput;
-                let transformed = uniforms.transform * vec4<f32>(pos[vertexIndex], uniforms.depth, 1.0);
-                output.position = transformed;
-                output.texCoord = texCoord[vertexIndex];
-                return output;
+        // Spaces at the end of a line would offset centered text
+        for (const line of lines) {
+            while (line.length > 0 && line[line.length - 1].text === ' ') {
+                line.pop();
             }
+        }
+        return lines;
+    }
 
-            @fragment
-            fn fs_main(input: VertexOutput) -> @location(0) vec4<f32> {
-                let color = textureSample(textureData, textureSampler, input.texCoord);
-                return vec4<f32>(color.rgb, color.a * uniforms.opacity);
+    layout(blocks, scale) {
+        // Rows to draw, top to bottom, and the total height at the given text scale
+        const theme = this.theme;
+        const padding = theme.padding * this.canvas.height;
+        const contentWidth = this.canvas.width - (padding * 2);
+        const bodySize = theme.fontSize * this.canvas.height * scale;
+        const rows = [];
+        let height = 0;
+
+        blocks.forEach((block, i) => {
+            if (i > 0) {
+                height += bodySize * theme.lineHeight * theme.blockSpacing;
             }
-        `;
 
-        const shaderModule = this.device.createShaderModule({ code: shaderCode });
+            if (block.type === 'image') {
+                if (!block.bitmap) return;
+                const maxHeight = theme.imageMaxHeight * this.canvas.height * scale;
+                const fit = Math.min(contentWidth / block.bitmap.width, maxHeight / block.bitmap.height);
+                const width = block.bitmap.width * fit;
+                const imageHeight = block.bitmap.height * fit;
+                rows.push({ type: 'image', bitmap: block.bitmap, y: height, width: width, height: imageHeight });
+                height += imageHeight;
+                return;
+            }
 
-        this.pipeline = this.device.createRenderPipeline({
-            layout: 'auto',
-            vertex: {
-                module: shaderModule,
-                entryPoint: 'vs_main',
-            },
-            fragment: {
-                module: shaderModule,
-                entryPoint: 'fs_main',
-                targets: [{
-                    format: format,
-                    blend: {
-                        color: {
-                            srcFactor: 'src-alpha',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add',
-                        },
-                        alpha: {
-                            srcFactor: 'one',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add',
-                        },
-                    },
-                }],
-            },
-            primitive: {
-                topology: 'triangle-list',
-            },
+            const isHeading = block.type === 'heading';
+            const scales = theme.headingScales;
+            const size = isHeading ? bodySize * scales[Math.min(block.level, scales.length) - 1] : bodySize;
+            const family = isHeading ? theme.headingFontFamily : theme.fontFamily;
+            const items = block.type === 'list' ? block.items : [block.runs];
+            const indent = block.type === 'list' ? size * 1.6 : 0;
+
+            items.forEach((runs, n) => {
+                const marker = block.type === 'list' ? (block.ordered ? `${n + 1}.` : '\u2022') : null;
+                this.wrap(runs, size, isHeading, family, contentWidth - indent).forEach((segments, l) => {
+                    rows.push({
+                        type: 'text',
+                        segments: segments,
+                        marker: l === 0 ? marker : null,
+                        indent: indent,
+                        size: size,
+                        family: family,
+                        color: isHeading ? theme.accentColor : theme.color,
+                        y: height
+                    });
+                    height += size * theme.lineHeight;
+                });
+            });
         });
+        return { rows, height };
     }
 
-    setupCanvas() {
-        this.updateCanvasSize = () => {
-            const dpi = window.devicePixelRatio || 1;
+    draw(blocks) {
+        const theme = this.theme;
+        const ctx = this.ctx;
+        const padding = theme.padding * this.canvas.height;
+        const available = this.canvas.height - (padding * 2);
+
+        // Long text shrinks until it fits the card, wrapping changes with the size
+        let scale = 1;
+        let layout = this.layout(blocks, scale);
+        for (let i = 0; i < 4 && layout.height > available; i++) {
+            scale *= available / layout.height;
+            layout = this.layout(blocks, scale);
+        }
 
-            // Calculate display dimensions based on original slide aspect ratio
-            if (this.originalSlideWidth > 0 && this.originalSlideHeight > 0) {
-                const slideAspect = this.originalSlideWidth / this.originalSlideHeight;
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.textBaseline = 'middle';
+
+        // Short text is centered vertically, like a title card
+        const top = padding + Math.max(0, (available - layout.height) / 2);
+        const center = theme.textAlign === 'center';
+
+        for (const row of layout.rows) {
+            if (row.type === 'image') {
+                const x = center ? (this.canvas.width - row.width) / 2 : padding;
+                ctx.drawImage(row.bitmap, x, top + row.y, row.width, row.height);
+                continue;
+            }
+
+            const lineWidth = row.indent + row.segments.reduce((sum, segment) => sum + segment.width, 0);
+            let x = center ? (this.canvas.width - lineWidth) / 2 : padding;
+            const y = top + row.y + (row.size * theme.lineHeight) / 2;
+
+            if (row.marker) {
+                ctx.font = this.getFont(row.size, true, false, row.family);
+                ctx.fillStyle = theme.accentColor;
+                ctx.fillText(row.marker, x, y);
+            }
+            x += row.indent;
+
+            ctx.fillStyle = row.color;
+            for (const segment of row.segments) {
+                ctx.font = segment.font;
+                ctx.fillText(segment.text, x, y);
+                x += segment.width;
+            }
+        }
+    }
+}
 
-                const maxWidth = window.innerWidth - (CONFIG.WINDOW_GAP * 2);
-                const maxHeight = window.innerHeight - (CONFIG.WINDOW_GAP * 2);
+// ============================================================================
+// FOG OF WAR
+// ============================================================================
+// The mask of a slide with FOG_OF_WAR: a canvas in the slide's texture coordinates,
+// transparent where the slide is covered and opaque where it is revealed. The
+// renderers draw CONFIG.FOG_COLOR over the covered parts. Points are fractions
+// of the slide, (0, 0) at the top left.
+
+class FogOfWar {
+    constructor(width, height, config) {
+        const scale = Math.min(1, config.FOG_MASK_SIZE / Math.max(width, height));
+        this.config = config;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = Math.max(1, Math.round(width * scale));
+        this.canvas.height = Math.max(1, Math.round(height * scale));
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        this.history = [];      // { x, y, pixels } of the area each reveal step changed, as it was before, for undo()
+        this.before = null;     // Whole mask at the last checkpoint(), until commit() cuts it down
+        this.roomPixels = null; // ImageData of the slide at mask size, for revealRoom()
+        this.texture = null;    // Renderer handle, uploaded again when isDirty
+        this.src = null;        // Path of the image the mask was sized for
+        this.isDirty = true;
+    }
+
+    load(dataUrl) {
+        // A mask saved with toDataURL(), added to what is revealed already
+        return new Promise((resolve) => {
+            const image = new Image();
+            image.onload = () => {
+                this.ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+                this.isDirty = true;
+                resolve(true);
+            };
+            image.onerror = () => resolve(false);
+            image.src = dataUrl;
+        });
+    }
+
+    toDataURL() {
+        return this.canvas.toDataURL('image/png');
+    }
+
+    getTexture(renderer) {
+        if (!this.texture) {
+            this.texture = renderer.createTexture(this.canvas);
+        } else if (this.isDirty) {
+            renderer.updateTexture(this.texture, this.canvas);
+        }
+        this.isDirty = false;
+        return this.texture;
+    }
+
+    destroy(renderer) {
+        if (this.texture) {
+            renderer.destroyTexture(this.texture);
+            this.texture = null;
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Reveal steps, call checkpoint() before each one and commit() after it to
+    // make it undoable
+    // ------------------------------------------------------------------------
+
+    checkpoint() {
+        this.commit();
+        const { width, height } = this.canvas;
+        this.before = this.ctx.getImageData(0, 0, width, height);
+    }
+
+    commit() {
+        // Keeps only the bounding box of what the step changed, a brush stroke is a
+        // small patch where a whole mask would be megabytes
+        const before = this.before;
+        if (!before) return;
+        this.before = null;
+
+        const { width, height } = this.canvas;
+        const oldPixels = new Uint32Array(before.data.buffer);
+        const newPixels = new Uint32Array(this.ctx.getImageData(0, 0, width, height).data.buffer);
+        let left = width;
+        let top = height;
+        let right = -1;
+        let bottom = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0, i = y * width; x < width; x++, i++) {
+                if (oldPixels[i] !== newPixels[i]) {
+                    left = Math.min(left, x);
+                    right = Math.max(right, x);
+                    top = Math.min(top, y);
+                    bottom = y;
+                }
+            }
+        }
+        if (right === -1) return;
+
+        const pixels = new ImageData(right - left + 1, bottom - top + 1);
+        for (let y = top; y <= bottom; y++) {
+            const start = (y * width + left) * 4;
+            pixels.data.set(before.data.subarray(start, start + pixels.width * 4), (y - top) * pixels.width * 4);
+        }
+        this.history.push({ x: left, y: top, pixels });
+        if (this.history.length > this.config.FOG_UNDO_LIMIT) {
+            this.history.shift();
+        }
+    }
+
+    undo() {
+        this.commit();
+        const patch = this.history.pop();
+        if (!patch) return false;
+
+        this.ctx.putImageData(patch.pixels, patch.x, patch.y);
+        this.isDirty = true;
+        return true;
+    }
+
+    brush(from, to) {
+        // Soft round dabs from one point to the other, close enough to blend into a stroke
+        const { width, height } = this.canvas;
+        const radius = this.config.FOG_BRUSH_SIZE * Math.max(width, height) / 2;
+        const solid = Math.max(0, radius - this.getSoftEdge());
+        const steps = Math.max(1, Math.ceil(Math.hypot((to.x - from.x) * width, (to.y - from.y) * height) / (radius / 4)));
+
+        for (let i = 0; i <= steps; i++) {
+            const x = (from.x + (to.x - from.x) * (i / steps)) * width;
+            const y = (from.y + (to.y - from.y) * (i / steps)) * height;
+            const gradient = this.ctx.createRadialGradient(x, y, solid, x, y, radius);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+            this.ctx.fillStyle = gradient;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        this.isDirty = true;
+    }
+
+    revealRect(from, to) {
+        const { width, height } = this.canvas;
+        const x = Math.min(from.x, to.x) * width;
+        const y = Math.min(from.y, to.y) * height;
+        this.drawSoftly((ctx) => {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(x, y, Math.abs(to.x - from.x) * width, Math.abs(to.y - from.y) * height);
+        });
+    }
+
+    revealRoom(point, pixels) {
+        // Flood fills the area of similar color around the point: a room up to its walls
+        const { width, height } = this.canvas;
+        const x = Math.floor(point.x * width);
+        const y = Math.floor(point.y * height);
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+
+        const source = pixels.data;
+        const seed = (y * width + x) * 4;
+        const tolerance = this.config.FOG_ROOM_TOLERANCE;
+        const isRoom = (i) => Math.abs(source[i * 4] - source[seed]) <= tolerance &&
+            Math.abs(source[i * 4 + 1] - source[seed + 1]) <= tolerance &&
+            Math.abs(source[i * 4 + 2] - source[seed + 2]) <= tolerance;
+
+        const room = new ImageData(width, height);
+        const filled = room.data;
+        const stack = [y * width + x];
+        while (stack.length > 0) {
+            const i = stack.pop();
+            if (filled[i * 4 + 3] !== 0 || !isRoom(i)) continue;
+
+            filled.fill(255, i * 4, i * 4 + 4);
+            const column = i % width;
+            if (column > 0) stack.push(i - 1);
+            if (column < width - 1) stack.push(i + 1);
+            if (i >= width) stack.push(i - width);
+            if (i < width * (height - 1)) stack.push(i + width);
+        }
+
+        // Through a canvas, ImageData can't be drawn with a soft edge
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(room, 0, 0);
+        this.drawSoftly((ctx) => ctx.drawImage(canvas, 0, 0));
+    }
+
+    revealAll() {
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.isDirty = true;
+    }
+
+    setRoomImage(image) {
+        // The slide at mask size, revealRoom() spreads over its colors
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        this.roomPixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    drawSoftly(draw) {
+        // Only the blurred shadow of the drawing lands on the mask, the drawing itself
+        // is moved off the canvas (shadowBlur works everywhere, ctx.filter does not)
+        const ctx = this.ctx;
+        const offset = this.canvas.width + this.getSoftEdge() * 4;
+        ctx.save();
+        ctx.shadowColor = '#ffffff';
+        ctx.shadowBlur = this.getSoftEdge();
+        ctx.shadowOffsetX = offset;
+        ctx.translate(-offset, 0);
+        draw(ctx);
+        ctx.restore();
+        this.isDirty = true;
+    }
+
+    getSoftEdge() {
+        return this.config.FOG_SOFT_EDGE * Math.max(this.canvas.width, this.canvas.height);
+    }
+}
+
+// ============================================================================
+// TEXTURE MANAGEMENT
+// ============================================================================
+// Keeps uploaded slides under a memory budget. Textures outside the pinned set
+// (current slide, preload window, visible overview thumbnails) are evicted least
+// recently used first and fetched again the next time they are loaded.
+// Loads run CONFIG.MAX_CONCURRENT_LOADS at a time, lowest priority value first.
+
+class TextureManager {
+    constructor(renderer, budgetBytes) {
+        this.renderer = renderer;
+        this.budgetBytes = budgetBytes;
+        this.entries = new Map();  // Path -> { textureData, bytes }, least recently used first
+        this.pending = new Map();  // Path -> queued or running load request
+        this.queue = [];           // Requests waiting for a free slot
+        this.activeLoads = 0;
+        this.pinned = new Set();   // Paths that must not be evicted
+        this.totalBytes = 0;
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+
+        // Callbacks
+        this.onEvict = null;       // (textureData, path) after a texture was destroyed
+        this.onChange = null;      // () whenever the cache contents change
+        this.getTextSlideSize = null; // () -> { width, height } in pixels for text slides
+    }
+
+    get(path) {
+        // Texture data if it is already loaded, null otherwise
+        const entry = this.entries.get(path);
+        if (!entry) return null;
+
+        // Re-insert to mark it as most recently used
+        this.entries.delete(path);
+        this.entries.set(path, entry);
+        this.stats.hits++;
+        return entry.textureData;
+    }
+
+    async load(path, animated = false, priority = 0) {
+        const textureData = this.get(path);
+        if (textureData) return textureData;
+
+        // The overview and the deck may ask for the same file at once,
+        // the more urgent caller moves a waiting request up
+        const pending = this.pending.get(path);
+        if (pending) {
+            pending.priority = Math.min(pending.priority, priority);
+            return pending.promise;
+        }
+
+        this.stats.misses++;
+        const request = { path, animated, priority, controller: new AbortController() };
+        request.promise = new Promise((resolve, reject) => {
+            request.resolve = resolve;
+            request.reject = reject;
+        });
+
+        this.pending.set(path, request);
+        this.queue.push(request);
+        this.pump();
+        this.notifyChange();
+        return request.promise;
+    }
+
+    pump() {
+        while (this.activeLoads < CONFIG.MAX_CONCURRENT_LOADS && this.queue.length > 0) {
+            // Lowest priority value first, in request order within a priority
+            let next = 0;
+            for (let i = 1; i < this.queue.length; i++) {
+                if (this.queue[i].priority < this.queue[next].priority) {
+                    next = i;
+                }
+            }
+            this.run(this.queue.splice(next, 1)[0]);
+        }
+    }
+
+    async run(request) {
+        this.activeLoads++;
+        const signal = request.controller.signal;
+
+        try {
+            const textureData = await this.createTextureData(request.path, request.animated, signal);
+            // Cancelled while decoding, after the download could no longer be aborted
+            if (signal.aborted) {
+                this.destroyTextureData(textureData);
+                throw new DOMException(`Cancelled loading ${request.path}`, 'AbortError');
+            }
+            this.add(request.path, textureData);
+            request.resolve(textureData);
+        } catch (error) {
+            request.reject(error);
+        } finally {
+            this.activeLoads--;
+            if (this.pending.get(request.path) === request) {
+                this.pending.delete(request.path);
+            }
+            this.pump();
+            this.notifyChange();
+        }
+    }
+
+    cancelExcept(paths) {
+        // Drops queued and running loads that are no longer needed, e.g. after a jump
+        const keep = new Set(paths);
+        for (const request of [...this.pending.values()]) {
+            if (keep.has(request.path)) continue;
+
+            request.controller.abort();
+            this.pending.delete(request.path);
+
+            // Running loads reject through their aborted fetch
+            const queued = this.queue.indexOf(request);
+            if (queued !== -1) {
+                this.queue.splice(queued, 1);
+                request.reject(new DOMException(`Cancelled loading ${request.path}`, 'AbortError'));
+            }
+        }
+        this.notifyChange();
+    }
+
+    async createTextureData(path, animated, signal) {
+        const isVideo = CONFIG.VIDEO_EXTENSIONS.some(ext => path.toLowerCase().endsWith(ext));
+
+        if (path.toLowerCase().endsWith('.md')) {
+            const { width, height } = this.getTextSlideSize();
+            const textSlide = new TextSlide(path, width, height, CONFIG.TEXT_SLIDE_THEME);
+            await textSlide.load(signal);
+
+            const texture = this.renderer.createTexture(textSlide.source);
+            return {
+                texture: texture,
+                width: texture.width,
+                height: texture.height
+            };
+        }
+
+        if (isVideo || animated) {
+            // Videos and animated images keep their media object for per-frame uploads
+            const media = isVideo ? new VideoMedia(path) : new AnimatedImageMedia(path);
+            await media.load(signal);
+
+            const texture = this.renderer.createTexture(media.source);
+            return {
+                texture: texture,
+                width: texture.width,
+                height: texture.height,
+                media: media
+            };
+        }
+
+        const response = await fetch(path, { signal });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${path} (${response.status})`);
+        }
+        const blob = await response.blob();
+        const imageBitmap = await createImageBitmap(blob);
+
+        const texture = this.renderer.createTexture(imageBitmap);
+
+        return {
+            texture: texture,
+            width: imageBitmap.width,
+            height: imageBitmap.height
+        };
+    }
+
+    add(path, textureData) {
+        const bytes = this.estimateBytes(textureData);
+        this.entries.set(path, { textureData, bytes });
+        this.totalBytes += bytes;
+
+        // The texture just loaded is about to be drawn, never evict it right away
+        this.evict(path);
+        this.notifyChange();
+    }
+
+    estimateBytes(textureData) {
+        // RGBA8 texture, animated images also keep every decoded frame
+        const frameBytes = textureData.width * textureData.height * 4;
+        const frames = textureData.media instanceof AnimatedImageMedia ? textureData.media.frames.length : 0;
+        return frameBytes * (1 + frames);
+    }
+
+    setPinned(paths) {
+        this.pinned = new Set(paths);
+        this.evict();
+        this.notifyChange();
+    }
+
+    evict(keepPath = null) {
+        for (const path of this.entries.keys()) {
+            if (this.totalBytes <= this.budgetBytes) break;
+            if (this.pinned.has(path) || path === keepPath) continue;
+
+            const textureData = this.remove(path);
+            this.stats.evictions++;
+            if (this.onEvict) {
+                this.onEvict(textureData, path);
+            }
+        }
+    }
+
+    invalidate(path) {
+        // The file changed on disk, the next load fetches it again
+        if (this.remove(path)) {
+            this.notifyChange();
+        }
+    }
+
+    remove(path) {
+        const entry = this.entries.get(path);
+        if (!entry) return null;
+
+        const { textureData, bytes } = entry;
+        this.destroyTextureData(textureData);
+        this.entries.delete(path);
+        this.totalBytes -= bytes;
+        return textureData;
+    }
+
+    destroyTextureData(textureData) {
+        if (textureData.media) {
+            textureData.media.pause();
+            textureData.media.dispose();
+        }
+        this.renderer.destroyTexture(textureData.texture);
+    }
+
+    getStats() {
+        return {
+            count: this.entries.size,
+            pinned: this.pinned.size,
+            loading: this.pending.size,
+            queued: this.queue.length,
+            bytes: this.totalBytes,
+            budgetBytes: this.budgetBytes,
+            ...this.stats
+        };
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
+
+// ============================================================================
+// TRANSITIONS
+// ============================================================================
+// Moving to the next slide runs two phases: 'leave' while the current slide goes
+// away and the next one waits on the stack, then 'enter' while the new current
+// slide comes off the stack. Going back runs a single 'back' phase that brings
+// the previous slide back on top while the old one returns to the stack.
+//
+// A transition is an object listed under the name used for CONFIG.TRANSITION
+// (which config.json files can set per slide) with:
+//   durations(config)   -> { leave, enter, back } in ms
+//   start(context)      -> optional, state shared by the phases of one run
+//   leave(role, progress, state, context), enter(...), back(...)
+//                       -> the pose of the 'current' slide or the stack's 'next'
+//                          slide at linear progress 0..1, as changes to context.base
+//                          (null for none). Without back(), leave and enter play in reverse.
+//   finish(state)       -> optional, after the last phase
+//
+// context: { phase, config, base, stack, drag, previous, options }, where stack is
+// the resting pose of the stack's next slide (for 'enter' the one the new current
+// slide started from), drag the pose of a held card and previous the state of the
+// run that left the slide 'back' returns to.
+//
+// Poses are { x, y, rotation, tiltX, tiltY, lift, scale, scaleX, opacity, dissolve, above }:
+// clip-space offset, degrees in the screen plane and around the card's horizontal
+// and vertical axes, height towards the camera in half window heights, size factors,
+// 0..1 opacity, 0..1 burnt away (see renderers.js) and, for the 'next' slide,
+// whether it is drawn above the current one.
+
+const CENTER_POSE = Object.freeze({
+    x: 0, y: 0, rotation: 0, tiltX: 0, tiltY: 0, lift: 0,
+    scale: 1, scaleX: 1, opacity: 1, dissolve: 0, above: false
+});
+
+function easeOutCubic(t) {
+    return 1 - Math.pow(1 - t, 3);
+}
+
+function lerpPose(from, to, t) {
+    const pose = { ...to };
+    for (const key of ['x', 'y', 'rotation', 'tiltX', 'tiltY', 'lift', 'scale', 'scaleX', 'opacity', 'dissolve']) {
+        pose[key] = from[key] + (to[key] - from[key]) * t;
+    }
+    return pose;
+}
+
+function generateThrow(config) {
+    // Random direction, spin and tumble
+    const angle = Math.random() * Math.PI * 2;
+    const distance = config.THROW_DISTANCE_MIN + Math.random() * config.THROW_DISTANCE_RANGE;
+
+    return {
+        direction: {
+            x: Math.cos(angle) * distance,
+            y: Math.sin(angle) * distance
+        },
+        rotation: (Math.random() - 0.5) * config.THROW_ROTATION_RANGE,
+        tumble: {
+            x: (Math.random() - 0.5) * config.THROW_TUMBLE_RANGE,
+            y: (Math.random() - 0.5) * config.THROW_TUMBLE_RANGE
+        },
+        lift: config.THROW_LIFT
+    };
+}
+
+function splitDuration(leaveShare) {
+    // TRANSITION_DURATION split between leaving and entering, going back takes all of it
+    return (config) => ({
+        leave: config.TRANSITION_DURATION * leaveShare,
+        enter: config.TRANSITION_DURATION * (1 - leaveShare),
+        back: config.TRANSITION_DURATION
+    });
+}
+
+function slideOffStack(role, progress, state, context) {
+    // The new current slide moves from its place on the stack to the center
+    return role === 'current' ? lerpPose(context.stack, CENTER_POSE, easeOutCubic(progress)) : null;
+}
+
+const TRANSITIONS = {
+    // Thrown off the table in a random direction (or the flicked one), caught again going back
+    throw: {
+        durations: (config) => ({
+            leave: config.THROW_DURATION,
+            enter: config.SLIDE_IN_DURATION,
+            back: config.CATCH_DURATION
+        }),
+        start(context) {
+            if (context.phase === 'back') {
+                return context.previous || { from: { ...CENTER_POSE }, ...generateThrow(context.config) };
+            }
+            // A dragged card is thrown from where it was let go
+            return { from: context.drag, ...(context.options.thrown || generateThrow(context.config)) };
+        },
+        leave(role, progress, state) {
+            if (role !== 'current') return null;
+            const eased = easeOutCubic(progress);
+            return {
+                x: state.from.x + state.direction.x * eased,
+                y: state.from.y + state.direction.y * eased,
+                rotation: state.from.rotation + state.rotation * eased,
+                tiltX: state.from.tiltX + state.tumble.x * eased,
+                tiltY: state.from.tiltY + state.tumble.y * eased,
+                lift: state.from.lift + state.lift * eased,
+                opacity: 1 - progress
+            };
+        },
+        enter: slideOffStack,
+        back(role, progress, state, context) {
+            const eased = easeOutCubic(progress);
+            if (role === 'next') {
+                // The old current slide settles from the center onto the stack
+                return lerpPose(CENTER_POSE, context.stack, eased);
+            }
+            // Flies back in from where it was thrown
+            return {
+                x: (state.from.x + state.direction.x) * (1 - eased),
+                y: (state.from.y + state.direction.y) * (1 - eased),
+                rotation: (state.from.rotation + state.rotation) * (1 - eased),
+                tiltX: (state.from.tiltX + state.tumble.x) * (1 - eased),
+                tiltY: (state.from.tiltY + state.tumble.y) * (1 - eased),
+                lift: (state.from.lift + state.lift) * (1 - eased),
+                opacity: progress
+            };
+        }
+    },
+
+    // Fades out over the stack, the next slide then moves up
+    fade: {
+        durations: splitDuration(0.4),
+        leave: (role, progress) => role === 'current' ? { opacity: 1 - progress } : null,
+        enter: slideOffStack
+    },
+
+    // Turns edge-on, the next slide turns into view in its place
+    flip: {
+        durations: splitDuration(0.5),
+        leave(role, progress, state, context) {
+            if (role === 'next') {
+                return { opacity: context.base.opacity * (1 - progress) };
+            }
+            return { tiltY: progress * 90, lift: 0.2 * Math.sin(progress * Math.PI / 2) };
+        },
+        enter(role, progress, state, context) {
+            if (role === 'next') {
+                return { opacity: context.base.opacity * progress };
+            }
+            return { tiltY: (progress - 1) * 90, lift: 0.2 * Math.cos(progress * Math.PI / 2) };
+        }
+    },
+
+    // Burns away (a fade on the canvas2d renderer), the next slide then moves up
+    dissolve: {
+        durations: splitDuration(0.6),
+        leave: (role, progress) => role === 'current' ? { dissolve: progress } : null,
+        enter: slideOffStack
+    },
+
+    // The next slide is dealt off the stack onto the current one
+    deal: {
+        durations: splitDuration(0.8),
+        leave(role, progress, state, context) {
+            if (role !== 'next') return null;
+            const pose = lerpPose(context.stack, CENTER_POSE, easeOutCubic(progress));
+            // Lifted off the table while it flies
+            pose.lift = 0.3 * Math.sin(progress * Math.PI);
+            pose.above = true;
+            return pose;
+        },
+        enter: () => null,
+        back(role, progress, state, context) {
+            // Picked up again and put back on the stack
+            if (role !== 'next') return null;
+            const pose = lerpPose(CENTER_POSE, context.stack, easeOutCubic(progress));
+            pose.lift = 0.3 * Math.sin(progress * Math.PI);
+            pose.above = true;
+            return pose;
+        }
+    },
+
+    // Pulled out to one side and tucked under the stack, the next slide then moves up
+    shuffle: {
+        durations: splitDuration(0.6),
+        start: () => ({ side: Math.random() < 0.5 ? -1 : 1 }),
+        leave(role, progress, state, context) {
+            if (role === 'next') {
+                return progress >= 0.5 ? { above: true } : null;
+            }
+            const pulled = { ...CENTER_POSE, x: 1.1 * state.side, rotation: -8 * state.side };
+            if (progress < 0.5) {
+                return lerpPose(CENTER_POSE, pulled, easeOutCubic(progress * 2));
+            }
+            const tucked = lerpPose(pulled, context.stack, easeOutCubic(progress * 2 - 1));
+            tucked.opacity = 2 - progress * 2;
+            return tucked;
+        },
+        enter: slideOffStack
+    }
+};
+
+// ============================================================================
+// GRID LAYOUTS
+// ============================================================================
+// Where the images of a grid slide go, chosen with GRID_LAYOUT (per grid folder
+// through its config.json). A layout is a function under its name here:
+//   layout(area, gap, aspects, slide, config) -> one slot { x, y, width, height } per image
+// The generator warns about names not listed here.
+//
+// Slots are in the pixels of area. aspects are the images' width / height, from the
+// loaded texture or else the manifest, 1 while unknown. Images are fitted into their
+// slots, so a layout that sizes slots by aspect leaves no empty space around them.
+
+const GRID_LAYOUTS = {
+    // Equal cells, columns x rows from the generator
+    uniform(area, gap, aspects, slide) {
+        return getUniformCells(area, slide.columns, slide.rows, gap, aspects.length);
+    },
+
+    // Rows of equal height spanning the width, the row count that shows the most
+    justified(area, gap, aspects) {
+        let best = null;
+        for (let rowCount = 1; rowCount <= aspects.length; rowCount++) {
+            const slots = layoutJustifiedRows(area, gap, aspects, splitIntoRuns(aspects, rowCount));
+            if (!best || getCoveredArea(slots) > getCoveredArea(best)) {
+                best = slots;
+            }
+        }
+        return best;
+    },
+
+    // Columns of equal width, every image goes below the shortest column
+    masonry(area, gap, aspects) {
+        let best = null;
+        for (let columnCount = 1; columnCount <= aspects.length; columnCount++) {
+            const slots = layoutMasonryColumns(area, gap, aspects, columnCount);
+            if (!best || getCoveredArea(slots) > getCoveredArea(best)) {
+                best = slots;
+            }
+        }
+        return best;
+    },
+
+    // The first image large, the others in a justified strip beside or below it
+    hero(area, gap, aspects, slide, config = CONFIG) {
+        if (aspects.length === 1) {
+            return [fitRect(area, aspects[0])];
+        }
+
+        const thumbnails = aspects.slice(1);
+        const strip = config.GRID_HERO_STRIP;
+        const below = layoutHeroStrip(area, gap, aspects[0], thumbnails, strip, false);
+        const beside = layoutHeroStrip(area, gap, aspects[0], thumbnails, strip, true);
+        return getCoveredArea(beside) > getCoveredArea(below) ? beside : below;
+    }
+};
+
+function getUniformCells(area, columns, rows, gap, count) {
+    // Row by row from the top left, like the images in slides.json
+    const cellWidth = (area.width - (gap * (columns - 1))) / columns;
+    const cellHeight = (area.height - (gap * (rows - 1))) / rows;
+
+    const cells = [];
+    for (let i = 0; i < count; i++) {
+        cells.push({
+            x: area.x + (i % columns) * (cellWidth + gap),
+            y: area.y + Math.floor(i / columns) * (cellHeight + gap),
+            width: cellWidth,
+            height: cellHeight
+        });
+    }
+    return cells;
+}
+
+function fitRect(area, aspect) {
+    // Largest rect with the given aspect ratio centered in area
+    const width = Math.min(area.width, area.height * aspect);
+    const height = width / aspect;
+    return {
+        x: area.x + (area.width - width) / 2,
+        y: area.y + (area.height - height) / 2,
+        width: width,
+        height: height
+    };
+}
+
+function getCoveredArea(slots) {
+    return slots.reduce((sum, slot) => sum + slot.width * slot.height, 0);
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+function splitIntoRuns(aspects, count) {
+    // Consecutive runs with about the same total aspect, as [start, end) pairs
+    const total = sum(aspects);
+    const runs = [];
+    let start = 0;
+    let covered = 0;
+    for (let run = 1; run <= count; run++) {
+        let end = start;
+        // Every run keeps at least one image, and leaves one for each run after it
+        while (end < aspects.length - (count - run) &&
+            (end === start || run === count || covered + aspects[end] / 2 <= total * run / count)) {
+            covered += aspects[end];
+            end++;
+        }
+        runs.push([start, end]);
+        start = end;
+    }
+    return runs;
+}
+
+function layoutJustifiedRows(area, gap, aspects, rows) {
+    // Each row as high as it must be to span the width, the whole block then
+    // shrunk (gaps excepted) until it fits the height, and centered
+    const heights = rows.map(([start, end]) => (area.width - gap * (end - start - 1)) / sum(aspects.slice(start, end)));
+    const scale = Math.min(1, (area.height - gap * (rows.length - 1)) / sum(heights));
+    const blockHeight = sum(heights) * scale + gap * (rows.length - 1);
+
+    const slots = [];
+    let y = area.y + (area.height - blockHeight) / 2;
+    rows.forEach(([start, end], row) => {
+        const height = heights[row] * scale;
+        const rowWidth = height * sum(aspects.slice(start, end)) + gap * (end - start - 1);
+        let x = area.x + (area.width - rowWidth) / 2;
+        for (let i = start; i < end; i++) {
+            slots.push({ x, y, width: height * aspects[i], height });
+            x += height * aspects[i] + gap;
+        }
+        y += height + gap;
+    });
+    return slots;
+}
+
+function layoutMasonryColumns(area, gap, aspects, columnCount) {
+    // Placed at full column width first, then shrunk (gaps excepted) until the
+    // tallest column fits, and centered
+    const columnWidth = (area.width - gap * (columnCount - 1)) / columnCount;
+    const columns = Array.from({ length: columnCount }, () => ({ height: 0, count: 0 }));
+    const placed = aspects.map((aspect) => {
+        const column = columns.reduce((shortest, c, i) => c.height < columns[shortest].height ? i : shortest, 0);
+        const top = columns[column].height;
+        columns[column].height += columnWidth / aspect;
+        columns[column].count++;
+        return { column, top, index: columns[column].count - 1 };
+    });
+
+    const scale = Math.min(1, ...columns
+        .filter(column => column.count > 0)
+        .map(column => (area.height - gap * (column.count - 1)) / column.height));
+    const width = columnWidth * scale;
+    const blockWidth = width * columnCount + gap * (columnCount - 1);
+    const blockHeight = Math.max(...columns.map(column => column.height * scale + gap * Math.max(0, column.count - 1)));
+    const left = area.x + (area.width - blockWidth) / 2;
+    const top = area.y + (area.height - blockHeight) / 2;
+
+    return placed.map(({ column, top: offset, index }, i) => ({
+        x: left + column * (width + gap),
+        y: top + offset * scale + index * gap,
+        width: width,
+        height: width / aspects[i]
+    }));
+}
+
+function layoutHeroStrip(area, gap, heroAspect, thumbnails, strip, isBeside) {
+    // Thumbnails in one justified run along the bottom (or right) edge, at most
+    // strip of the area deep, the hero fitted into the rest
+    const length = isBeside ? area.height : area.width;
+    const breadth = isBeside ? area.width : area.height;
+    const along = isBeside ? thumbnails.map(aspect => 1 / aspect) : thumbnails;
+    const depth = Math.min(breadth * strip, (length - gap * (thumbnails.length - 1)) / sum(along));
+    const runLength = depth * sum(along) + gap * (thumbnails.length - 1);
+
+    const slots = [];
+    let position = (length - runLength) / 2;
+    for (const size of along) {
+        slots.push(isBeside
+            ? { x: area.x + area.width - depth, y: area.y + position, width: depth, height: depth * size }
+            : { x: area.x + position, y: area.y + area.height - depth, width: depth * size, height: depth });
+        position += depth * size + gap;
+    }
+
+    const rest = isBeside
+        ? { x: area.x, y: area.y, width: area.width - depth - gap, height: area.height }
+        : { x: area.x, y: area.y, width: area.width, height: area.height - depth - gap };
+    return [fitRect(rest, heroAspect), ...slots];
+}
+
+// ============================================================================
+// MAIN APPLICATION CLASS
+// ============================================================================
+class SlidePresentation {
+    constructor() {
+        // DOM Elements
+        this.canvas = document.getElementById('slideCanvas');
+        this.loadingEl = document.getElementById('loading');
+        this.errorEl = document.getElementById('error');
+        this.debugOverlayEl = document.getElementById('debug-overlay');
+        this.deckPickerEl = document.getElementById('deck-picker');
+        this.resumePromptEl = document.getElementById('resume-prompt');
+        this.revealIndicatorEl = document.getElementById('reveal-indicator');
+        this.storageWarningEl = document.getElementById('storage-warning');
+        this.selectionEl = document.getElementById('selection');
+
+        // Slide Data
+        this.manifestPath = CONFIG.SLIDES_JSON_PATH; // Replaced by the chosen deck's manifest
+        this.slides = [];
+        this.slideConfigCache = new WeakMap(); // Slide -> CONFIG merged with its overrides
+        this.currentSlideIndex = 0;
+        this.visitHistory = [];         // { slide, time } of each slide shown in any session, oldest first
+        this.lastSession = null;        // Timestamp of the last saved progress
+        this.currentSlideType = 'single'; // 'single' or 'grid'
+        this.currentGridConfig = null; // { images, columns, rows }
+
+        // Animation State
+        this.isAnimating = false;
+        this.isBlanked = false;    // Screen blanked via the blank key
+        this.transition = null;    // Running transition: { name, module, phase, progress, state, ... }
+        this.transitionHistory = new Map(); // Slide index -> { name, state } of the run that left it
+        this.isHistoryNavigation = false; // Current navigation came from browser back/forward
+        this.gridAnimationStartTime = 0;
+        this.gridFocus = null;     // { index, previous, progress, isClosing } of the grid image shown full size
+        this.gridFocusFrame = null; // requestAnimationFrame id of its flight
+
+        // Slide Dimensions
+        this.originalSlideWidth = 0;  // Original image dimensions (never changes)
+        this.originalSlideHeight = 0;
+        this.displayWidth = 0;         // Display dimensions (recalculated on resize)
+        this.displayHeight = 0;
+
+        // Dragging
+        this.dragOffset = null;          // { x, y, rotation } of the grabbed card
+        this.dragStart = null;           // dragOffset when the current drag began
+        this.springBackFrame = null;     // requestAnimationFrame id of the spring back
+
+        // Next Slide Positioning
+        this.nextSlideRotation = 0;
+        this.nextSlideOffsetX = 0;
+        this.nextSlideOffsetY = 0;
+
+        // Rendering Resources
+        this.renderer = null;             // Backend from renderers.js
+        this.transformMatrix = new Float32Array(16); // Reused for every quad, drawQuad copies it
+        this.cardMatrix = new Float32Array(16);      // Grid slide card the mosaic cells are placed on
+        this.blendMatrix = new Float32Array(16);     // Cell on the card, blended into its grid position
+        this.shadowMatrix = new Float32Array(16);    // Drop shadow of the card being drawn
+        this.cardEffects = {};            // Shape effects of the card being drawn, drawQuad reads them right away
+        this.shadowEffects = {};
+        this.colors = new Map();          // Parsed CONFIG colors, see parseColor()
+        this.cardTexture = null;          // Background of grid slides in the stack
+        this.textures = null;             // TextureManager, created with the renderer
+        this.loadGeneration = 0;          // Bumped per loadCurrentSlides(), late loads of older calls are dropped
+        this.placeholderTexture = null;   // Drawn in place of images still loading
+        this.currentTexture = null;       // For single slides
+        this.currentGridTextures = [];    // For grid slides
+        this.nextTextures = [];           // Textures of each upcoming slide, null while loading
+        this.activeMedia = [];            // Texture data of videos/animations on the current slide
+        this.isMediaLoopRunning = false;
+
+        // Overview (light table)
+        this.isOverviewOpen = false;      // Shown or zooming in/out
+        this.isOverviewClosing = false;
+        this.overviewProgress = 0;        // 0 = deck, 1 = overview
+        this.overviewFrame = null;        // requestAnimationFrame id of the zoom
+        this.overviewScroll = 0;          // Vertical scroll in pixels
+        this.overviewHighlight = 0;       // Highlighted thumbnail
+        this.overviewFocus = 0;           // Slide flying between the deck and its thumbnail
+        this.overviewTextures = new Map(); // Slide index -> textures, null while loading
+        this.overviewResumeMedia = false;  // Media was playing when the overview opened
+        this.highlightTexture = null;
+
+        // Zoom & Pan
+        this.view = { scale: 1, x: 0, y: 0 }; // Magnification and clip-space offset of the whole table
+        this.viewTarget = null;           // View the running zoom animation ends at
+        this.viewFrame = null;            // requestAnimationFrame id of the zoom animation
+
+        // Fog of War
+        this.fogs = new Map();            // Slide key -> FogOfWar of slides with FOG_OF_WAR
+        this.isRevealing = false;         // Reveal mode: the pointer uncovers the current slide
+        this.revealStroke = null;         // { fog, tool, from, last, startX, startY } of the drag in progress
+
+        // Presenter View
+        this.presenterChannel = null;
+
+        this.init();
+    }
+
+    // ========================================================================
+    // INITIALIZATION
+    // ========================================================================
+
+    async init() {
+        try {
+            if (!await this.resolveDeck()) return;
+            await this.loadSlideList();
+            await this.initRenderer();
+            await this.restoreProgress();
+            this.saveProgress();
+            this.setupHistory();
+            this.setupCanvas();
+            this.updateSlideLabel();
+            await this.loadCurrentSlides((loaded, total) => {
+                this.loadingEl.textContent = `Loading slides... ${loaded} of ${total}`;
+            });
+            this.generateNextSlidePosition();
+            this.updateCanvasSize();
+            this.setupEventListeners();
+            this.setupPresenterChannel();
+            this.setupLiveReload();
+            this.loadingEl.style.display = 'none';
+            this.render();
+            this.playActiveMedia();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async resolveDeck() {
+        // Returns false when the deck picker is shown instead of a deck
+        const deckId = new URLSearchParams(window.location.search).get(CONFIG.DECK_URL_PARAM);
+        const response = await fetch(CONFIG.DECK_INDEX_PATH);
+        if (!response.ok) {
+            if (deckId) {
+                throw new Error(`Cannot open deck "${deckId}": ${CONFIG.DECK_INDEX_PATH} is missing.`);
+            }
+            return true;
+        }
+
+        const decks = await response.json();
+        if (!deckId && decks.length !== 1) {
+            this.showDeckPicker(decks);
+            return false;
+        }
+
+        const deck = deckId ? decks.find(d => d.id === deckId) : decks[0];
+        if (!deck) {
+            throw new Error(`Deck "${deckId}" not found in ${CONFIG.DECK_INDEX_PATH}.`);
+        }
+        if (!deckId) {
+            // Put the only deck in the URL so its progress and presenter channel are scoped
+            history.replaceState(null, '', this.getDeckUrl(deck.id) + window.location.hash);
+        }
+
+        this.manifestPath = deck.manifest;
+        document.title = deck.title;
+        return true;
+    }
+
+    getDeckUrl(deckId) {
+        // Other parameters such as ?renderer= are kept
+        const params = new URLSearchParams(window.location.search);
+        params.set(CONFIG.DECK_URL_PARAM, deckId);
+        return `?${params}`;
+    }
+
+    showDeckPicker(decks) {
+        this.loadingEl.style.display = 'none';
+        const list = this.deckPickerEl.querySelector('ul');
+        for (const deck of decks) {
+            const link = document.createElement('a');
+            link.href = this.getDeckUrl(deck.id);
+            link.textContent = deck.title;
+
+            const count = document.createElement('span');
+            count.textContent = `${deck.slides} slide${deck.slides === 1 ? '' : 's'}`;
+            link.appendChild(count);
+
+            const item = document.createElement('li');
+            item.appendChild(link);
+            list.appendChild(item);
+        }
+        this.deckPickerEl.style.display = 'flex';
+    }
+
+    async loadSlideList() {
+        const response = await fetch(this.manifestPath);
+        if (!response.ok) {
+            throw new Error(`Failed to load slide list. Please ensure ${this.manifestPath} exists.`);
+        }
+        const slides = await response.json();
+        this.slides = slides.map(slide => this.normalizeSlide(slide));
+
+        if (this.slides.length === 0) {
+            throw new Error('No slides found in the slide list.');
+        }
+
+        // The deck's first image with a size in the manifest sets the card size up
+        // front. Older manifests leave it to the first image that loads.
+        const sized = this.slides.find(slide => slide.width > 0 && slide.height > 0);
+        if (sized) {
+            this.originalSlideWidth = sized.width;
+            this.originalSlideHeight = sized.height;
+        }
+    }
+
+    normalizeSlide(slide) {
+        // Older manifests list single slides as plain image paths
+        if (typeof slide === 'string') {
+            return { type: 'image', src: slide };
+        }
+        return { type: 'image', ...slide };
+    }
+
+    async initRenderer() {
+        // ?renderer=webgpu|webgl2|canvas2d forces a single backend
+        const forced = new URLSearchParams(window.location.search).get(CONFIG.RENDERER_URL_PARAM);
+        const order = forced ? [forced] : CONFIG.RENDERER_ORDER;
+
+        this.renderer = await createRenderer(this.canvas, order);
+        this.canvas = this.renderer.canvas; // Replaced if a backend failed on the original
+
+        this.textures = new TextureManager(this.renderer, CONFIG.TEXTURE_BUDGET_MB * 1024 * 1024);
+        this.textures.onEvict = (textureData, path) => {
+            this.forgetOverviewTexture(textureData.texture);
+            this.releaseFogTextures(path);
+        };
+        this.textures.onChange = () => this.updateDebugOverlay();
+        this.textures.getTextSlideSize = () => this.getTextSlideSize();
+        this.placeholderTexture = this.createSolidTexture(CONFIG.PLACEHOLDER_COLOR);
+        this.cardTexture = this.createSolidTexture(CONFIG.GRID_CARD_COLOR);
+    }
+
+    createSolidTexture(color) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, 1, 1);
+        return this.renderer.createTexture(canvas);
+    }
+
+    setupCanvas() {
+        this.updateCanvasSize = () => {
+            const dpi = window.devicePixelRatio || 1;
+
+            // Calculate display dimensions based on original slide aspect ratio
+            if (this.originalSlideWidth > 0 && this.originalSlideHeight > 0) {
+                const { width, height } = this.fitSlideToWindow(CONFIG.WINDOW_GAP);
+                this.displayWidth = width;
+                this.displayHeight = height;
+            }
+
+            this.canvas.width = window.innerWidth * dpi;
+            this.canvas.height = window.innerHeight * dpi;
+            this.canvas.style.width = `${window.innerWidth}px`;
+            this.canvas.style.height = `${window.innerHeight}px`;
+        };
+
+        window.addEventListener('resize', () => {
+            this.updateCanvasSize();
+            if (this.isOverviewOpen) {
+                this.scrollOverview(0);
+            } else if (this.currentTexture) {
+                this.render();
+            }
+        });
+    }
+
+    getTextSlideSize() {
+        // Text slides are drawn at the size cards appear on screen, in the deck's aspect ratio
+        const dpi = window.devicePixelRatio || 1;
+        const aspect = this.originalSlideWidth > 0 && this.originalSlideHeight > 0
+            ? this.originalSlideWidth / this.originalSlideHeight
+            : CONFIG.TEXT_SLIDE_ASPECT;
+        const maxWidth = window.innerWidth - (CONFIG.WINDOW_GAP * 2);
+        const maxHeight = window.innerHeight - (CONFIG.WINDOW_GAP * 2);
+        const width = Math.min(maxWidth, maxHeight * aspect);
+        return { width: width * dpi, height: (width / aspect) * dpi };
+    }
+
+    fitSlideToWindow(windowGap) {
+        const slideAspect = this.originalSlideWidth / this.originalSlideHeight;
+
+        const maxWidth = window.innerWidth - (windowGap * 2);
+        const maxHeight = window.innerHeight - (windowGap * 2);
+
+        if (maxWidth / maxHeight > slideAspect) {
+            // Height-constrained
+            return { width: maxHeight * slideAspect, height: maxHeight };
+        }
+        // Width-constrained
+        return { width: maxWidth, height: maxWidth / slideAspect };
+    }
+
+    getWindowGapScale(config) {
+        // Slides with their own WINDOW_GAP are scaled relative to the shared display size
+        if (config.WINDOW_GAP === CONFIG.WINDOW_GAP || this.displayWidth === 0) return 1;
+        return this.fitSlideToWindow(config.WINDOW_GAP).width / this.displayWidth;
+    }
+
+    setupEventListeners() {
+        this.input = new InputController(this, CONFIG.KEY_BINDINGS);
+        this.input.attach(this.canvas);
+    }
+
+    // ========================================================================
+    // SLIDE MANAGEMENT
+    // ========================================================================
+
+    loadCurrentSlides(onProgress = null) {
+        // Requests the current slide first, then the next one, then the rest of the
+        // preload window, without waiting: images still loading are drawn as
+        // placeholders. The returned promise settles once every request has.
+        const generation = ++this.loadGeneration;
+        const currentSlide = this.slides[this.currentSlideIndex];
+        const requests = [];
+        let loaded = 0;
+        this.activeMedia = [];
+
+        const request = (path, animated, priority, assign) => {
+            const cached = this.textures.get(path);
+            if (cached) {
+                assign(cached);
+                return;
+            }
+
+            requests.push(this.textures.load(path, animated, priority)
+                .then(textureData => {
+                    // The user moved on while this was loading
+                    if (generation !== this.loadGeneration) return;
+                    assign(textureData);
+                    if (!this.isAnimating) {
+                        this.render();
+                    }
+                })
+                .catch(error => {
+                    if (error.name !== 'AbortError') {
+                        console.warn(`Could not load ${path}: ${error.message}`);
+                    }
+                })
+                .finally(() => {
+                    if (onProgress) {
+                        onProgress(++loaded, requests.length);
+                    }
+                }));
+        };
+
+        // Check if it's a grid slide or single slide
+        if (currentSlide.type === 'grid') {
+            this.currentSlideType = 'grid';
+            this.currentGridConfig = {
+                images: currentSlide.images,
+                columns: currentSlide.columns,
+                rows: currentSlide.rows
+            };
+            this.currentTexture = null; // Grid doesn't use single texture
+            this.currentGridTextures = currentSlide.images.map(() => null);
+
+            this.getSlideImages(this.currentSlideIndex).forEach(({ path, animated }, i) => {
+                request(path, animated, 0, (textureData) => {
+                    this.currentGridTextures[i] = textureData.texture;
+                    this.addActiveMedia(textureData);
+                });
+            });
+
+            // For grid, use full viewport dimensions
+            if (this.originalSlideWidth === 0 || this.originalSlideHeight === 0) {
+                this.originalSlideWidth = window.innerWidth - (CONFIG.WINDOW_GAP * 2);
+                this.originalSlideHeight = window.innerHeight - (CONFIG.WINDOW_GAP * 2);
+            }
+        } else {
+            this.currentSlideType = 'single';
+            this.currentGridConfig = null;
+            this.currentGridTextures = [];
+            this.currentTexture = null;
+
+            request(currentSlide.src, currentSlide.animated, 0, (textureData) => {
+                this.currentTexture = textureData.texture;
+                this.addActiveMedia(textureData);
+
+                // Store original slide dimensions from first loaded image
+                if (this.originalSlideWidth === 0 || this.originalSlideHeight === 0) {
+                    this.originalSlideWidth = textureData.width;
+                    this.originalSlideHeight = textureData.height;
+                }
+            });
+        }
+
+        // Preload next slides for the stack, grid slides become mosaic cards
+        this.nextTextures = [];
+        const slidesToPreload = Math.min(CONFIG.SLIDES_TO_PRELOAD, this.getRemainingSlides());
+
+        for (let i = 1; i <= slidesToPreload; i++) {
+            const idx = this.currentSlideIndex + i;
+            if (idx < this.slides.length) {
+                const images = this.getSlideImages(idx);
+                const slot = images.map(() => null);
+                this.nextTextures.push(slot);
+
+                images.forEach(({ path, animated }, j) => {
+                    request(path, animated, i, (textureData) => {
+                        slot[j] = textureData.texture;
+                    });
+                });
+            }
+        }
+
+        // The old slides are no longer drawn: they may be evicted, their loads cancelled
+        this.updatePinnedTextures();
+
+        if (onProgress) {
+            onProgress(0, requests.length);
+        }
+        return Promise.all(requests);
+    }
+
+    addActiveMedia(textureData) {
+        if (!textureData.media) return;
+        this.activeMedia.push(textureData);
+
+        // Media arriving after the slide settled starts on its own
+        const config = this.getSlideConfig(this.currentSlideIndex);
+        if (!this.isAnimating && !this.isOverviewOpen && config.VIDEO_AUTOPLAY) {
+            textureData.media.restart();
+            textureData.media.play(config);
+            this.startMediaLoop();
+        }
+    }
+
+    generateNextSlidePosition() {
+        const config = this.getSlideConfig(this.currentSlideIndex + 1);
+        // Generate random rotation
+        this.nextSlideRotation = (Math.random() - 0.5) * config.NEXT_SLIDE_ROTATION_RANGE;
+        // Generate random offsets
+        this.nextSlideOffsetX = (Math.random() - 0.5) * config.NEXT_SLIDE_OFFSET_RANGE;
+        this.nextSlideOffsetY = (Math.random() - 0.5) * config.NEXT_SLIDE_OFFSET_RANGE;
+    }
+
+    getSlideConfig(index) {
+        // CONFIG with the slide's overrides from slides.json applied on top
+        const slide = this.slides[index];
+        if (!slide || !slide.config) return CONFIG;
+
+        if (!this.slideConfigCache.has(slide)) {
+            this.slideConfigCache.set(slide, { ...CONFIG, ...slide.config });
+        }
+        return this.slideConfigCache.get(slide);
+    }
+
+    getSlideImages(index) {
+        // { path, animated } of every image on a slide, in grid order
+        const slide = this.slides[index];
+        if (slide.type === 'grid') {
+            const animatedImages = slide.animatedImages || [];
+            return slide.images.map(path => ({ path: path, animated: animatedImages.includes(path) }));
+        }
+        return [{ path: slide.src, animated: Boolean(slide.animated) }];
+    }
+
+    loadSlideTextures(index) {
+        // Texture data of every image on a slide, in grid order
+        return Promise.all(this.getSlideImages(index).map(({ path, animated }) => this.textures.load(path, animated)));
+    }
+
+    updatePinnedTextures() {
+        // Current slide, the previous one for going back, the preload window and visible thumbnails
+        const indices = new Set([this.currentSlideIndex, this.getPreviousSlideIndex()]);
+        for (let i = 1; i <= CONFIG.SLIDES_TO_PRELOAD; i++) {
+            indices.add(this.currentSlideIndex + i);
+        }
+        if (this.isOverviewOpen) {
+            this.getOverviewLayout().cells.forEach((cell, index) => {
+                if (this.isRectOnScreen(cell)) {
+                    indices.add(index);
+                }
+            });
+        }
+
+        const paths = [];
+        for (const index of indices) {
+            if (index >= 0 && index < this.slides.length) {
+                paths.push(...this.getSlideImages(index).map(image => image.path));
+            }
+        }
+        this.textures.setPinned(paths);
+        this.textures.cancelExcept(paths);
+    }
+
+    getRemainingSlides() {
+        return this.slides.length - this.currentSlideIndex;
+    }
+
+    getPreviousSlideIndex() {
+        if (this.currentSlideIndex > 0) return this.currentSlideIndex - 1;
+        return CONFIG.WRAP_AROUND ? this.slides.length - 1 : -1;
+    }
+
+    getNextSlideIndex() {
+        if (this.currentSlideIndex < this.slides.length - 1) return this.currentSlideIndex + 1;
+        return CONFIG.WRAP_AROUND ? 0 : -1;
+    }
+
+    // ========================================================================
+    // NAVIGATION
+    // ========================================================================
+
+    performAction(action, payload) {
+        // Any key brings a blanked screen back without navigating
+        if (this.isBlanked) {
+            this.isBlanked = false;
+            this.render();
+            this.broadcastState();
+            return;
+        }
+
+        if (this.isOverviewOpen && this.performOverviewAction(action, payload)) return;
+        if (this.isRevealing && this.performRevealAction(action)) return;
+        if (this.gridFocus && this.performGridFocusAction(action)) return;
+
+        switch (action) {
+            case 'next':
+                this.nextSlide();
+                break;
+            case 'previous':
+                this.previousSlide();
+                break;
+            case 'first':
+                this.goToSlide(0);
+                break;
+            case 'last':
+                this.goToSlide(this.slides.length - 1);
+                break;
+            case 'jump':
+                this.goToSlide(payload);
+                break;
+            case 'blank':
+                this.isBlanked = true;
+                this.render();
+                this.broadcastState();
+                break;
+            case 'presenter':
+                this.openPresenter();
+                break;
+            case 'toggleMedia':
+                this.toggleActiveMedia();
+                break;
+            case 'overview':
+                this.openOverview();
+                break;
+            case 'reveal':
+                this.setRevealing(true);
+                break;
+            case 'zoomIn':
+            case 'zoomOut': {
+                const factor = action === 'zoomIn' ? CONFIG.ZOOM_KEY_STEP : 1 / CONFIG.ZOOM_KEY_STEP;
+                this.zoomAt(window.innerWidth / 2, window.innerHeight / 2, factor, true);
+                break;
+            }
+            case 'resetZoom':
+                this.resetZoom();
+                break;
+            case 'debug':
+                this.toggleDebugOverlay();
+                break;
+        }
+    }
+
+    onSlideChanged() {
+        this.setRevealing(false);
+        this.clearGridFocus();
+        this.resetZoom(false);
+        this.saveProgress();
+        this.updateHistory();
+        this.updateSlideLabel();
+        this.broadcastState();
+    }
+
+    updateSlideLabel() {
+        // Expose the sidecar alt text (or title) to screen readers
+        const slide = this.slides[this.currentSlideIndex];
+        this.canvas.setAttribute('aria-label', slide.alt || slide.title || `Slide ${this.currentSlideIndex + 1}`);
+    }
+
+    nextSlide() {
+        if (this.isAnimating || this.getNextSlideIndex() === -1) return;
+        this.advanceSlide();
+    }
+
+    previousSlide() {
+        if (this.isAnimating || this.getPreviousSlideIndex() === -1) return;
+        this.returnSlide();
+    }
+
+    goToSlide(index) {
+        if (this.isAnimating || index === this.currentSlideIndex) return;
+        if (!Number.isInteger(index) || index < 0 || index >= this.slides.length) return;
+
+        // Jump without animation, images still loading show as placeholders
+        this.pauseActiveMedia();
+        this.releaseDrag();
+        this.currentSlideIndex = index;
+        this.onSlideChanged();
+        this.loadCurrentSlides();
+
+        this.generateNextSlidePosition();
+        this.render();
+        this.playActiveMedia();
+    }
+
+    // ========================================================================
+    // PROGRESS MANAGEMENT
+    // ========================================================================
+
+    async restoreProgress() {
+        // A deep link (#/14 or #/<slide id>) wins over the saved progress
+        const linkedIndex = this.getSlideIndexFromHash();
+        const savedIndex = this.loadProgress();
+
+        if (linkedIndex !== -1) {
+            this.currentSlideIndex = linkedIndex;
+        } else if (savedIndex > 0 && CONFIG.RESUME_MODE !== 'restart') {
+            const resume = CONFIG.RESUME_MODE === 'resume' || await this.promptResume(savedIndex);
+            this.currentSlideIndex = resume ? savedIndex : 0;
+        } else {
+            this.currentSlideIndex = 0;
+        }
+    }
+
+    loadProgress() {
+        // Returns the slide the last session ended on, -1 if there is none
+        const storageKey = getDeckScopedName(CONFIG.PROGRESS_STORAGE_KEY);
+        let saved = this.readStorage(storageKey);
+        if (storageKey === CONFIG.PROGRESS_STORAGE_KEY) {
+            saved = this.migrateProgressCookie(saved);
+        }
+        if (!saved || typeof saved !== 'object') return -1;
+
+        // Visits of slides that were removed since are forgotten
+        const history = Array.isArray(saved.history) ? saved.history : [];
+        this.visitHistory = history.filter(visit => visit && typeof visit.time === 'number' &&
+            typeof visit.slide === 'string' && this.getSlideIndexByKey(visit.slide) !== -1);
+        this.lastSession = typeof saved.lastSession === 'number' ? saved.lastSession : null;
+
+        // Stored by key rather than index so slides inserted before it don't shift it
+        return typeof saved.slide === 'string' ? this.getSlideIndexByKey(saved.slide) : -1;
+    }
+
+    migrateProgressCookie(saved) {
+        // Progress used to live in a cookie sent with every request: { current } with the
+        // slide index of the deck without a deck id. It moves to storage once, the cookie
+        // is only deleted when that worked. Returns the progress to use.
+        const cookieName = CONFIG.PROGRESS_STORAGE_KEY;
+        const cookie = document.cookie.split(';').map(part => part.trim()).find(part => part.startsWith(`${cookieName}=`));
+        if (!cookie) return saved;
+
+        const deleteCookie = () => {
+            document.cookie = `${cookieName}=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+        };
+        let index = -1;
+        try {
+            index = JSON.parse(cookie.slice(cookieName.length + 1)).current;
+        } catch (e) {
+            // Unreadable, dropped below
+        }
+        if (saved || !Number.isInteger(index) || index < 0 || index >= this.slides.length) {
+            deleteCookie();
+            return saved;
+        }
+
+        const migrated = { slide: this.getSlideKey(index), history: [], lastSession: null };
+        if (this.writeStorage(cookieName, migrated)) {
+            deleteCookie();
+        }
+        return migrated;
+    }
+
+    saveProgress() {
+        const key = this.getSlideKey(this.currentSlideIndex);
+        const now = Date.now();
+        const lastVisit = this.visitHistory[this.visitHistory.length - 1];
+        if (!lastVisit || lastVisit.slide !== key) {
+            this.visitHistory.push({ slide: key, time: now });
+            if (this.visitHistory.length > CONFIG.PROGRESS_HISTORY_LIMIT) {
+                this.visitHistory.splice(0, this.visitHistory.length - CONFIG.PROGRESS_HISTORY_LIMIT);
+            }
+        }
+        this.writeStorage(getDeckScopedName(CONFIG.PROGRESS_STORAGE_KEY), {
+            slide: key,
+            history: this.visitHistory,
+            lastSession: now
+        });
+    }
+
+    promptResume(index) {
+        // Resolves true to resume at index, false to start over
+        const slide = this.slides[index];
+        const position = `slide ${index + 1} of ${this.slides.length}`;
+        let message = `You left off at ${slide.title ? `"${slide.title}" (${position})` : position}`;
+        if (this.lastSession !== null) {
+            message += ` on ${new Date(this.lastSession).toLocaleString()}`;
+        }
+        this.resumePromptEl.querySelector('p').textContent = `${message}.`;
+
+        this.loadingEl.style.display = 'none';
+        this.resumePromptEl.style.display = 'flex';
+        const resumeButton = this.resumePromptEl.querySelector('[data-choice="resume"]');
+        const restartButton = this.resumePromptEl.querySelector('[data-choice="restart"]');
+        resumeButton.focus();
+
+        return new Promise(resolve => {
+            const choose = (resume) => {
+                this.resumePromptEl.style.display = 'none';
+                this.loadingEl.style.display = '';
+                resolve(resume);
+            };
+            resumeButton.onclick = () => choose(true);
+            restartButton.onclick = () => choose(false);
+        });
+    }
+
+    // ========================================================================
+    // URL ROUTING & HISTORY
+    // ========================================================================
+
+    setupHistory() {
+        history.replaceState(null, '', this.getSlideHash(this.currentSlideIndex));
+        window.addEventListener('popstate', () => this.handlePopState());
+    }
+
+    getSlideKey(index) {
+        // Slide id, or the 1-based slide number for manifests without ids
+        return this.slides[index].id || String(index + 1);
+    }
+
+    getSlideHash(index) {
+        return `#/${encodeURIComponent(this.getSlideKey(index))}`;
+    }
+
+    getSlideIndexFromHash() {
+        const match = window.location.hash.match(/^#\/(.+)$/);
+        return match ? this.getSlideIndexByKey(decodeURIComponent(match[1])) : -1;
+    }
+
+    getSlideIndexByKey(key) {
+        const byId = this.slides.findIndex(slide => slide.id === key);
+        if (byId !== -1) return byId;
+
+        // Slide numbers are 1-based
+        const slideNumber = Number(key);
+        if (Number.isInteger(slideNumber) && slideNumber >= 1 && slideNumber <= this.slides.length) {
+            return slideNumber - 1;
+        }
+        return -1;
+    }
+
+    updateHistory() {
+        // Back/forward already moved the URL to this slide
+        if (this.isHistoryNavigation) {
+            this.isHistoryNavigation = false;
+            history.replaceState(null, '', this.getSlideHash(this.currentSlideIndex));
+            return;
+        }
+        history.pushState(null, '', this.getSlideHash(this.currentSlideIndex));
+    }
+
+    handlePopState() {
+        const index = this.getSlideIndexFromHash();
+        if (index === -1 || index === this.currentSlideIndex) return;
+
+        if (this.isAnimating || this.isOverviewOpen) {
+            // Can't navigate mid-animation, keep the URL on the shown slide
+            history.replaceState(null, '', this.getSlideHash(this.currentSlideIndex));
+            return;
+        }
+
+        // Neighbours animate like regular navigation, anything else jumps
+        this.isHistoryNavigation = true;
+        if (index === this.getNextSlideIndex()) {
+            this.nextSlide();
+        } else if (index === this.getPreviousSlideIndex()) {
+            this.previousSlide();
+        } else {
+            this.goToSlide(index);
+        }
+    }
+
+    // ========================================================================
+    // MEDIA PLAYBACK
+    // ========================================================================
+
+    playActiveMedia(force = false) {
+        const config = this.getSlideConfig(this.currentSlideIndex);
+        if (this.activeMedia.length === 0 || (!config.VIDEO_AUTOPLAY && !force)) return;
+
+        for (const { media } of this.activeMedia) {
+            if (!force) {
+                media.restart();
+            }
+            media.play(config);
+        }
+        this.startMediaLoop();
+    }
+
+    pauseActiveMedia() {
+        for (const { media } of this.activeMedia) {
+            media.pause();
+        }
+    }
+
+    toggleActiveMedia() {
+        if (this.activeMedia.some(({ media }) => media.isPlaying)) {
+            this.pauseActiveMedia();
+        } else {
+            this.playActiveMedia(true);
+        }
+    }
+
+    startMediaLoop() {
+        if (this.isMediaLoopRunning) return;
+        this.isMediaLoopRunning = true;
+
+        const tick = () => {
+            if (!this.activeMedia.some(({ media }) => media.isPlaying)) {
+                this.isMediaLoopRunning = false;
+                return;
+            }
+            // Animations render every frame on their own
+            if (!this.isAnimating) {
+                this.render();
+            }
+            requestAnimationFrame(tick);
+        };
+
+        requestAnimationFrame(tick);
+    }
+
+    updateMediaTextures() {
+        for (const textureData of this.activeMedia) {
+            const frame = textureData.media.nextFrame();
+            if (frame) {
+                this.renderer.updateTexture(textureData.texture, frame);
+            }
+        }
+    }
+
+    // ========================================================================
+    // PRESENTER VIEW SYNC
+    // ========================================================================
+
+    setupPresenterChannel() {
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        this.presenterChannel = new BroadcastChannel(getDeckScopedName(CONFIG.PRESENTER_CHANNEL));
+        this.presenterChannel.onmessage = (e) => this.handlePresenterMessage(e.data);
+
+        // A presenter window may already be open from before a reload
+        this.broadcastState(true);
+    }
+
+    handlePresenterMessage(message) {
+        switch (message.type) {
+            case 'hello':
+                this.broadcastState(true);
+                break;
+            case 'action':
+                this.performAction(message.action, message.payload);
+                break;
+        }
+    }
+
+    broadcastState(includeSlides = false) {
+        if (!this.presenterChannel) return;
+
+        const state = {
+            type: 'state',
+            index: this.currentSlideIndex,
+            blanked: this.isBlanked
+        };
+        if (includeSlides) {
+            state.slides = this.slides;
+        }
+
+        this.presenterChannel.postMessage(state);
+    }
+
+    openPresenter() {
+        // Reuses the named window if the presenter view is already open
+        const url = CONFIG.PRESENTER_URL + window.location.search;
+        const presenterWindow = window.open(url, 'slide-presenter', CONFIG.PRESENTER_WINDOW_FEATURES);
+        if (presenterWindow) {
+            presenterWindow.focus();
+        }
+    }
+
+    // ========================================================================
+    // LIVE RELOAD (generate-slides-json.js --serve)
+    // ========================================================================
+
+    setupLiveReload() {
+        // Only set in pages served by the generator's dev server
+        if (!window.LIVE_RELOAD_URL || typeof EventSource === 'undefined') return;
+
+        const events = new EventSource(window.LIVE_RELOAD_URL);
+        events.addEventListener('reload', (e) => this.reloadSlides(JSON.parse(e.data).changed));
+    }
+
+    async reloadSlides(changedPaths) {
+        // Wait for the running animation or the overview to finish
+        if (this.isAnimating || this.isOverviewOpen) {
+            setTimeout(() => this.reloadSlides(changedPaths), 200);
+            return;
+        }
+
+        const previousSlides = this.slides;
+        const currentSlide = previousSlides[this.currentSlideIndex];
+
+        // The current slide may lose images or change type, its modes start over. Done
+        // while the old slide list is still drawn, these render.
+        this.clearGridFocus();
+        this.setRevealing(false);
+        this.resetZoom(false);
+
+        // Block input while the slide list is replaced
+        this.isAnimating = true;
+        try {
+            await this.loadSlideList();
+        } catch (error) {
+            console.warn(`Live reload failed: ${error.message}`);
+            this.slides = previousSlides;
+            return;
+        } finally {
+            this.isAnimating = false;
+        }
+
+        this.pauseActiveMedia();
+        this.releaseDrag();
+        this.invalidateTextures(changedPaths);
+        this.forgetChangedFogs(changedPaths);
+        this.overviewTextures.clear();
+        this.transitionHistory.clear();
+        // The new manifest may size the deck differently
+        this.updateCanvasSize();
+
+        // Stay on the current slide, found by id since slides may have been added before it
+        const index = this.slides.findIndex(slide => slide.id === currentSlide.id);
+        this.currentSlideIndex = index !== -1 ? index : Math.min(this.currentSlideIndex, this.slides.length - 1);
+        this.loadCurrentSlides();
+
+        this.generateNextSlidePosition();
+        this.saveProgress();
+        history.replaceState(null, '', this.getSlideHash(this.currentSlideIndex));
+        this.updateSlideLabel();
+        this.broadcastState(true);
+        this.render();
+        this.playActiveMedia();
+    }
+
+    invalidateTextures(paths) {
+        for (const path of paths) {
+            this.textures.invalidate(path);
+        }
+    }
+
+    // ========================================================================
+    // ANIMATION
+    // ========================================================================
+
+    resolveTransitionName(name) {
+        if (TRANSITIONS[name]) return name;
+        console.warn(`Unknown transition "${name}", using "throw"`);
+        return 'throw';
+    }
+
+    advanceSlide(options = {}) {
+        // Runs the transition into the next slide: 'leave', then 'enter' (see TRANSITIONS).
+        // options: { transition, thrown, duration } override the slide's transition
+        // The slide coming in picks the transition, its durations and throw settings
+        const config = this.getSlideConfig(this.getNextSlideIndex());
+        const name = this.resolveTransitionName(options.transition || config.TRANSITION);
+
+        this.isAnimating = true;
+        this.pauseActiveMedia();
+        this.cancelSpringBack();
+        const drag = this.getDragPose();
+        this.dragOffset = null;
+
+        this.startTransition(name, 'leave', { config, drag, options });
+
+        // Remember how the slide left so going back can reverse it
+        this.transitionHistory.set(this.currentSlideIndex, { name, state: this.transition.state });
+
+        this.animateTransition(() => this.onLeaveComplete(), options.duration);
+    }
+
+    onLeaveComplete() {
+        // The new current slide starts from where the stack showed it
+        const stack = this.getStackPose();
+
+        this.currentSlideIndex = this.getNextSlideIndex();
+        this.onSlideChanged();
+        this.loadCurrentSlides();
+
+        // The slide below it takes a fresh place on the stack
+        this.generateNextSlidePosition();
+
+        this.transition.phase = 'enter';
+        this.transition.progress = 0;
+        this.transition.config = this.getSlideConfig(this.currentSlideIndex);
+        this.transition.stack = stack;
+        this.animateTransition(() => this.finishTransition());
+    }
+
+    returnSlide() {
+        this.isAnimating = true;
+        this.pauseActiveMedia();
+        this.releaseDrag();
+
+        // Going back reverses the transition that left the previous slide
+        const previousIndex = this.getPreviousSlideIndex();
+        const left = this.transitionHistory.get(previousIndex);
+        const config = this.getSlideConfig(this.currentSlideIndex);
+        const name = this.resolveTransitionName(left ? left.name : config.TRANSITION);
+
+        this.currentSlideIndex = previousIndex;
+        this.onSlideChanged();
+        this.loadCurrentSlides();
+
+        // The old current slide goes back to a fresh place on the stack
+        this.generateNextSlidePosition();
+
+        this.startTransition(name, 'back', { config, previous: left ? left.state : null });
+        this.animateTransition(() => this.finishTransition());
+    }
+
+    startTransition(name, phase, {
+        config = this.getSlideConfig(this.currentSlideIndex), drag = CENTER_POSE, previous = null, options = {}
+    } = {}) {
+        const module = TRANSITIONS[name];
+        this.resetZoom(false);
+        this.clearGridFocus();
+        this.transition = {
+            name: name,
+            module: module,
+            phase: phase,
+            progress: 0,
+            state: null,
+            config: config,
+            stack: this.getStackPose(),
+            drag: drag,
+            previous: previous,
+            options: options
+        };
+        if (module.start) {
+            this.transition.state = module.start(this.getTransitionContext(CENTER_POSE));
+        }
+    }
+
+    animateTransition(onComplete, duration = null) {
+        const { module, phase, config } = this.transition;
+        const phaseDuration = duration || module.durations(config)[phase];
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            this.transition.progress = phaseDuration > 0 ? Math.min(elapsed / phaseDuration, 1) : 1;
+
+            this.render();
+
+            if (this.transition.progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                onComplete();
+            }
+        };
+
+        requestAnimationFrame(animate);
+    }
+
+    finishTransition() {
+        const { module, state } = this.transition;
+        if (module.finish) {
+            module.finish(state);
+        }
+
+        this.transition = null;
+        this.isAnimating = false;
+        this.render();
+        this.playActiveMedia();
+    }
+
+    getTransitionContext(base) {
+        const { phase, config, stack, drag, previous, options } = this.transition;
+        return { phase, config, base, stack, drag, previous, options };
+    }
+
+    getTransitionPose(role, progress = this.transition.progress) {
+        // Pose of the 'current' slide or the stack's 'next' slide in the running transition
+        const { module, phase, state } = this.transition;
+        const base = role === 'next' ? this.getStackPose() : CENTER_POSE;
+
+        if (phase !== 'back' || module.back) {
+            return { ...base, ...module[phase](role, progress, state, this.getTransitionContext(base)) };
+        }
+
+        // No back(): the previous slide undoes its leave, the old current slide its enter
+        const reversed = 1 - progress;
+        if (role === 'current') {
+            return { ...base, ...module.leave('current', reversed, state, this.getTransitionContext(base)) };
+        }
+        const leaveNext = module.leave('next', reversed, state, this.getTransitionContext(base));
+        return {
+            ...CENTER_POSE,
+            ...module.enter('current', reversed, state, this.getTransitionContext(CENTER_POSE)),
+            above: Boolean(leaveNext && leaveNext.above)
+        };
+    }
+
+    getStackPose() {
+        // Resting pose of the stack's next slide: rotated, offset and darkened
+        return {
+            ...CENTER_POSE,
+            x: this.nextSlideOffsetX,
+            y: this.nextSlideOffsetY,
+            rotation: this.nextSlideRotation,
+            opacity: this.getSlideConfig(this.currentSlideIndex + 1).NEXT_SLIDE_BRIGHTNESS
+        };
+    }
+
+    getDragPose() {
+        // Card held by a pointer or springing back
+        return this.dragOffset ? { ...CENTER_POSE, ...this.dragOffset } : CENTER_POSE;
+    }
+
+    // ========================================================================
+    // DRAG & FLICK
+    // ========================================================================
+
+    beginDrag(x, y) {
+        // Picks up the card if the press at window pixels (x, y) is on it
+        if (this.isAnimating || this.isBlanked || this.gridFocus) return false;
+
+        // A card springing back is hit where it is now, ignoring its rotation
+        const point = this.toUnzoomed(x, y);
+        const rect = this.getDeckRect(this.currentSlideIndex);
+        const offset = this.dragOffset || { x: 0, y: 0 };
+        const left = rect.x + (offset.x / 2) * window.innerWidth;
+        const top = rect.y - (offset.y / 2) * window.innerHeight;
+        if (point.x < left || point.x > left + rect.width || point.y < top || point.y > top + rect.height) {
+            return false;
+        }
+
+        // Grabbing a card that is springing back continues from where it is
+        this.cancelSpringBack();
+        this.dragStart = this.dragOffset ? { ...this.dragOffset } : { x: 0, y: 0, rotation: 0 };
+        this.dragOffset = { ...this.dragStart };
+        return true;
+    }
+
+    updateDrag(dx, dy) {
+        // Pixels to clip space (y up)
+        const x = this.dragStart.x + (dx / window.innerWidth) * 2;
+        const y = this.dragStart.y - (dy / window.innerHeight) * 2;
+
+        this.dragOffset = {
+            x: x,
+            y: y,
+            rotation: -x * CONFIG.DRAG_ROTATION_FACTOR
+        };
+        this.render();
+    }
+
+    endDrag(velocity, distance) {
+        if (!this.dragOffset) return;
+
+        const speed = Math.hypot(velocity.x, velocity.y);
+        const canAdvance = this.getNextSlideIndex() !== -1;
+
+        if (canAdvance && speed >= CONFIG.FLICK_MIN_VELOCITY && distance >= CONFIG.FLICK_MIN_DISTANCE) {
+            this.flickSlide(velocity);
+        } else {
+            this.springBack();
+        }
+    }
+
+    flickSlide(velocity) {
+        const config = this.getSlideConfig(this.currentSlideIndex);
+
+        // Release velocity in clip space units per ms
+        const vx = (velocity.x / window.innerWidth) * 2;
+        const vy = -(velocity.y / window.innerHeight) * 2;
+        const speed = Math.hypot(vx, vy);
+
+        const distance = config.THROW_DISTANCE_MIN + Math.random() * config.THROW_DISTANCE_RANGE;
+
+        // The ease-out cubic starts at 3x its average speed: pick the duration so
+        // the card leaves the finger at the speed it was flicked with
+        const duration = Math.max(CONFIG.FLICK_MIN_DURATION, Math.min(config.THROW_DURATION, (3 * distance) / speed));
+
+        // Faster flicks spin more, in the direction of the horizontal movement,
+        // and tumble forward over the axis across the movement
+        const spin = Math.min(1, Math.hypot(velocity.x, velocity.y) / (CONFIG.FLICK_MIN_VELOCITY * 4));
+        const rotation = -Math.sign(vx || 1) * spin * config.THROW_ROTATION_RANGE / 2;
+        const tumble = spin * config.THROW_TUMBLE_RANGE / 2;
+
+        // A flicked card is always thrown, whatever the slide's transition
+        this.advanceSlide({
+            transition: 'throw',
+            thrown: {
+                direction: { x: (vx / speed) * distance, y: (vy / speed) * distance },
+                rotation: rotation,
+                tumble: { x: -(vy / speed) * tumble, y: (vx / speed) * tumble },
+                lift: config.THROW_LIFT
+            },
+            duration: duration
+        });
+    }
+
+    springBack() {
+        const from = { ...this.dragOffset };
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            const progress = Math.min((currentTime - startTime) / CONFIG.SPRING_BACK_DURATION, 1);
+            const eased = 1 - Math.pow(1 - progress, 3);
+
+            if (progress < 1) {
+                this.dragOffset = {
+                    x: from.x * (1 - eased),
+                    y: from.y * (1 - eased),
+                    rotation: from.rotation * (1 - eased)
+                };
+                this.springBackFrame = requestAnimationFrame(animate);
+            } else {
+                this.dragOffset = null;
+                this.springBackFrame = null;
+            }
+            this.render();
+        };
+
+        this.springBackFrame = requestAnimationFrame(animate);
+    }
+
+    cancelSpringBack() {
+        if (this.springBackFrame !== null) {
+            cancelAnimationFrame(this.springBackFrame);
+            this.springBackFrame = null;
+        }
+    }
+
+    releaseDrag() {
+        this.cancelSpringBack();
+        this.dragOffset = null;
+    }
+
+    // ========================================================================
+    // OVERVIEW (LIGHT TABLE)
+    // ========================================================================
+
+    performOverviewAction(action, payload) {
+        // Returns false for actions that work the same as in the deck
+        switch (action) {
+            case 'next':
+                this.moveOverviewHighlight(1);
+                return true;
+            case 'previous':
+                this.moveOverviewHighlight(-1);
+                return true;
+            case 'overviewRow':
+                this.moveOverviewHighlight(payload * this.getOverviewLayout().columns);
+                return true;
+            case 'first':
+                this.moveOverviewHighlight(-this.slides.length);
+                return true;
+            case 'last':
+                this.moveOverviewHighlight(this.slides.length);
+                return true;
+            case 'jump':
+                this.closeOverview(payload);
+                return true;
+            case 'select':
+                this.closeOverview(this.overviewHighlight);
+                return true;
+            case 'overview':
+                this.closeOverview(this.currentSlideIndex);
+                return true;
+            case 'toggleMedia':
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    openOverview() {
+        if (this.isOverviewOpen || this.isAnimating) return;
+
+        this.releaseDrag();
+        this.resetZoom(false);
+        this.clearGridFocus();
+        this.overviewResumeMedia = this.activeMedia.some(({ media }) => media.isPlaying);
+        this.pauseActiveMedia();
+
+        if (!this.highlightTexture) {
+            this.highlightTexture = this.createSolidTexture(CONFIG.OVERVIEW_HIGHLIGHT_COLOR);
+        }
+
+        this.isOverviewOpen = true;
+        this.overviewFocus = this.currentSlideIndex;
+        this.overviewHighlight = this.currentSlideIndex;
+
+        // Start with the current slide's row in the middle of the screen
+        const cell = this.getOverviewLayout().cells[this.currentSlideIndex];
+        this.scrollOverview(cell.y + cell.height / 2 - window.innerHeight / 2);
+        this.animateOverview(1);
+    }
+
+    async closeOverview(index) {
+        if (!this.isOverviewOpen || this.isOverviewClosing) return;
+        if (!Number.isInteger(index) || index < 0 || index >= this.slides.length) return;
+
+        this.isOverviewClosing = true;
+        this.overviewFocus = index;
+        this.overviewHighlight = index;
+
+        // The picked thumbnail flies back into the deck, so it has to be loaded
+        await this.loadOverviewThumbnail(index);
+        await new Promise(resolve => this.animateOverview(0, resolve));
+
+        // The thumbnail now covers the deck position, swap the real slide in underneath
+        if (index === this.currentSlideIndex) {
+            if (this.overviewResumeMedia) {
+                this.playActiveMedia(true);
+            }
+        } else {
+            this.goToSlide(index);
+        }
+
+        this.isOverviewOpen = false;
+        this.isOverviewClosing = false;
+        this.updatePinnedTextures();
+        this.render();
+    }
+
+    animateOverview(target, onComplete) {
+        // Reversing mid-zoom continues from the current progress
+        if (this.overviewFrame !== null) {
+            cancelAnimationFrame(this.overviewFrame);
+        }
+
+        const from = this.overviewProgress;
+        const duration = CONFIG.OVERVIEW_TRANSITION_DURATION * Math.abs(target - from);
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            const progress = duration > 0 ? Math.min((currentTime - startTime) / duration, 1) : 1;
+            this.overviewProgress = from + (target - from) * progress;
+            this.render();
+
+            if (progress < 1) {
+                this.overviewFrame = requestAnimationFrame(animate);
+            } else {
+                this.overviewFrame = null;
+                if (onComplete) {
+                    onComplete();
+                }
+            }
+        };
+
+        this.overviewFrame = requestAnimationFrame(animate);
+    }
+
+    getOverviewLayout() {
+        // Thumbnails share the deck's aspect ratio, rows scroll vertically
+        const columns = Math.max(1, Math.min(CONFIG.OVERVIEW_COLUMNS, this.slides.length));
+        const rows = Math.ceil(this.slides.length / columns);
+        const gap = CONFIG.OVERVIEW_GAP;
+        const padding = CONFIG.OVERVIEW_PADDING;
+
+        const width = (window.innerWidth - (padding * 2) - (gap * (columns - 1))) / columns;
+        const height = width * (this.displayHeight / this.displayWidth);
+        const contentHeight = (padding * 2) + (rows * height) + (gap * (rows - 1));
+
+        // Decks that fit on one screen are centered vertically
+        const top = Math.max(0, (window.innerHeight - contentHeight) / 2) + padding - this.overviewScroll;
+
+        const cells = this.slides.map((_, index) => ({
+            x: padding + (index % columns) * (width + gap),
+            y: top + Math.floor(index / columns) * (height + gap),
+            width: width,
+            height: height
+        }));
+
+        return { columns, cells, maxScroll: Math.max(0, contentHeight - window.innerHeight) };
+    }
+
+    getOverviewIndexAt(x, y) {
+        return this.getOverviewLayout().cells.findIndex(cell =>
+            x >= cell.x && x < cell.x + cell.width && y >= cell.y && y < cell.y + cell.height
+        );
+    }
+
+    scrollOverview(delta) {
+        const { maxScroll } = this.getOverviewLayout();
+        this.overviewScroll = Math.max(0, Math.min(maxScroll, this.overviewScroll + delta));
+        this.loadVisibleThumbnails();
+        this.render();
+    }
+
+    scrollOverviewToHighlight() {
+        const cell = this.getOverviewLayout().cells[this.overviewHighlight];
+        const padding = CONFIG.OVERVIEW_PADDING;
+
+        if (cell.y < padding) {
+            this.scrollOverview(cell.y - padding);
+        } else if (cell.y + cell.height > window.innerHeight - padding) {
+            this.scrollOverview(cell.y + cell.height - (window.innerHeight - padding));
+        } else {
+            this.render();
+        }
+    }
+
+    moveOverviewHighlight(step) {
+        this.overviewHighlight = Math.max(0, Math.min(this.slides.length - 1, this.overviewHighlight + step));
+        this.scrollOverviewToHighlight();
+    }
+
+    highlightOverviewAt(x, y) {
+        const index = this.getOverviewIndexAt(x, y);
+        if (index === -1 || index === this.overviewHighlight) return;
+
+        this.overviewHighlight = index;
+        this.render();
+    }
+
+    selectOverviewAt(x, y) {
+        const index = this.getOverviewIndexAt(x, y);
+        if (index !== -1) {
+            this.closeOverview(index);
+        }
+    }
+
+    loadVisibleThumbnails() {
+        this.updatePinnedTextures();
+
+        // Thumbnails load lazily as they scroll into view
+        this.getOverviewLayout().cells.forEach((cell, index) => {
+            if (this.isRectOnScreen(cell) && !this.overviewTextures.has(index)) {
+                this.loadOverviewThumbnail(index);
+            }
+        });
+    }
+
+    async loadOverviewThumbnail(index) {
+        if (this.overviewTextures.get(index)) return;
+
+        this.overviewTextures.set(index, null);
+        try {
+            const textureData = await this.loadSlideTextures(index);
+            this.overviewTextures.set(index, textureData.map(data => data.texture));
+            if (this.isOverviewOpen) {
+                this.render();
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Cancelled thumbnails load again when they scroll back into view
+                this.overviewTextures.delete(index);
+            } else {
+                console.warn(`Could not load thumbnail for slide ${index + 1}: ${error.message}`);
+            }
+        }
+    }
+
+    forgetOverviewTexture(texture) {
+        // An evicted thumbnail is fetched again when it scrolls back into view
+        for (const [index, textures] of this.overviewTextures) {
+            if (textures && textures.includes(texture)) {
+                this.overviewTextures.delete(index);
+            }
+        }
+    }
+
+    renderOverview() {
+        // Ease in and out: the zoom runs in both directions
+        const t = this.overviewProgress;
+        const eased = t * t * (3 - 2 * t);
+        const { cells } = this.getOverviewLayout();
+
+        for (let i = 0; i < this.slides.length; i++) {
+            if (i !== this.overviewFocus && this.isRectOnScreen(cells[i])) {
+                this.renderThumbnail(i, cells[i], eased);
+            }
+        }
+
+        // The focused slide zooms between its deck position and its cell, on top
+        const from = this.getDeckRect(this.overviewFocus);
+        const to = cells[this.overviewFocus];
+        this.renderThumbnail(this.overviewFocus, {
+            x: from.x + (to.x - from.x) * eased,
+            y: from.y + (to.y - from.y) * eased,
+            width: from.width + (to.width - from.width) * eased,
+            height: from.height + (to.height - from.height) * eased
+        }, 1, eased);
+    }
+
+    renderThumbnail(index, rect, opacity, highlightOpacity = opacity) {
+        if (index === this.overviewHighlight) {
+            const border = CONFIG.OVERVIEW_HIGHLIGHT_WIDTH;
+            this.drawRect(this.highlightTexture, {
+                x: rect.x - border,
+                y: rect.y - border,
+                width: rect.width + border * 2,
+                height: rect.height + border * 2
+            }, highlightOpacity);
+        }
+
+        const textures = this.overviewTextures.get(index);
+        if (!textures) {
+            this.drawRect(this.placeholderTexture, rect, opacity);
+            return;
+        }
+
+        const slide = this.slides[index];
+        if (slide.type !== 'grid') {
+            // Single slides fill their card like in the deck, maps keep their fog
+            const fogMask = this.getFogMask(index, textures[0]);
+            const effects = fogMask ? { fogMask, fogColor: this.parseColor(this.getSlideConfig(index).FOG_COLOR) } : null;
+            this.drawRect(textures[0], rect, opacity, effects);
+            return;
+        }
+
+        // Grid slides shrink into a mosaic of the full layout
+        const config = this.getSlideConfig(index);
+        const gap = config.GRID_GAP * (rect.width / this.getGridArea(config).width);
+        const slots = this.getGridSlots(index, rect, gap, textures);
+
+        textures.forEach((texture, i) => {
+            this.drawRect(texture, fitRect(slots[i], texture.width / texture.height), opacity);
+        });
+    }
+
+    getDeckRect(index) {
+        // Where a slide sits in the deck, in pixels
+        const config = this.getSlideConfig(index);
+        if (this.slides[index].type === 'grid') {
+            return this.getGridArea(config);
+        }
+
+        const scale = this.getWindowGapScale(config);
+        const width = this.displayWidth * scale;
+        const height = this.displayHeight * scale;
+        return {
+            x: (window.innerWidth - width) / 2,
+            y: (window.innerHeight - height) / 2,
+            width: width,
+            height: height
+        };
+    }
+
+    isRectOnScreen(rect) {
+        return rect.y + rect.height > 0 && rect.y < window.innerHeight;
+    }
+
+    // ========================================================================
+    // GRID FOCUS
+    // ========================================================================
+    // One image of the current grid slide flies from its cell to full size over
+    // the dimmed others. Next and previous step through the grid's images while
+    // it is shown, Escape (or a tap) flies it back.
+
+    performGridFocusAction(action) {
+        // Returns false for actions that work as usual, most of them put the image back first
+        switch (action) {
+            case 'next':
+            case 'previous':
+                this.stepGridFocus(action === 'next' ? 1 : -1);
+                return true;
+            case 'resetZoom':
+                // Escape zooms out first, then puts the image back
+                if (this.isZoomed()) return false;
+                this.unfocusGridImage();
+                return true;
+            case 'zoomIn':
+            case 'zoomOut':
+            case 'toggleMedia':
+            case 'debug':
+                return false;
+            default:
+                this.clearGridFocus();
+                return false;
+        }
+    }
+
+    focusGridImageAt(x, y) {
+        // Tap on a grid slide: true if it focused an image or put one back
+        if (this.gridFocus) {
+            this.unfocusGridImage();
+            return true;
+        }
+        if (this.currentSlideType !== 'grid' || this.isAnimating || this.dragOffset) return false;
+
+        const point = this.toUnzoomed(x, y);
+        const config = this.getSlideConfig(this.currentSlideIndex);
+        const index = this.getGridImageRects(config).findIndex(rect =>
+            point.x >= rect.x && point.x <= rect.x + rect.width &&
+            point.y >= rect.y && point.y <= rect.y + rect.height);
+        if (index === -1) return false;
+
+        this.focusGridImage(index);
+        return true;
+    }
+
+    focusGridImage(index, previous = -1) {
+        this.gridFocus = { index, previous, progress: 0, isClosing: false };
+        this.animateGridFocus(1);
+    }
+
+    stepGridFocus(step) {
+        // The shown image flies back while its neighbour flies up
+        const focus = this.gridFocus;
+        if (focus.isClosing) return;
+
+        const count = this.currentGridTextures.length;
+        let index = focus.index + step;
+        if (CONFIG.WRAP_AROUND) {
+            index = (index + count) % count;
+        }
+        if (index < 0 || index >= count || index === focus.index) return;
+
+        this.focusGridImage(index, focus.index);
+    }
+
+    unfocusGridImage() {
+        const focus = this.gridFocus;
+        if (focus.isClosing) return;
+
+        focus.isClosing = true;
+        focus.previous = -1;
+        this.animateGridFocus(0, () => this.clearGridFocus());
+    }
+
+    clearGridFocus() {
+        if (!this.gridFocus) return;
+
+        if (this.gridFocusFrame !== null) {
+            cancelAnimationFrame(this.gridFocusFrame);
+            this.gridFocusFrame = null;
+        }
+        this.gridFocus = null;
+        this.render();
+    }
+
+    animateGridFocus(target, onComplete) {
+        // Turning around mid-flight continues from the current progress
+        if (this.gridFocusFrame !== null) {
+            cancelAnimationFrame(this.gridFocusFrame);
+        }
+
+        const focus = this.gridFocus;
+        const from = focus.progress;
+        const duration = CONFIG.GRID_FOCUS_DURATION * Math.abs(target - from);
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            const progress = duration > 0 ? Math.min((currentTime - startTime) / duration, 1) : 1;
+            focus.progress = from + (target - from) * progress;
+            this.render();
 
-                if (maxWidth / maxHeight > slideAspect) {
-                    // Height-constrained
-                    this.displayHeight = maxHeight;
-                    this.displayWidth = this.displayHeight * slideAspect;
-                } else {
-                    // Width-constrained
-                    this.displayWidth = maxWidth;
-                    this.displayHeight = this.displayWidth / slideAspect;
+            if (progress < 1) {
+                this.gridFocusFrame = requestAnimationFrame(animate);
+            } else {
+                this.gridFocusFrame = null;
+                if (onComplete) {
+                    onComplete();
                 }
             }
-
-            this.canvas.width = window.innerWidth * dpi;
-            this.canvas.height = window.innerHeight * dpi;
-            this.canvas.style.width = `${window.innerWidth}px`;
-            this.canvas.style.height = `${window.innerHeight}px`;
         };
 
-        window.addEventListener('resize', () => {
-            this.updateCanvasSize();
-            if (this.currentTexture) {
-                this.render();
-            }
-        });
+        this.gridFocusFrame = requestAnimationFrame(animate);
     }
 
-    setupEventListeners() {
-        const handleInteraction = (e) => {
-            e.preventDefault();
-            if (!this.isAnimating) {
-                this.throwSlide();
-            }
-        };
+    getGridFocusAmount(index) {
+        // How far image index is on its way to full size, eased towards where it is heading
+        const focus = this.gridFocus;
+        if (!focus) return 0;
+
+        const eased = focus.isClosing ? 1 - easeOutCubic(1 - focus.progress) : easeOutCubic(focus.progress);
+        if (index === focus.index) return eased;
+        if (index === focus.previous) return 1 - eased;
+        return 0;
+    }
+
+    getGridFocusDim() {
+        // Opacity factor of the images behind the focused one
+        const focus = this.gridFocus;
+        if (!focus) return 1;
 
-        this.canvas.addEventListener('click', handleInteraction);
-        this.canvas.addEventListener('touchstart', handleInteraction, { passive: false });
+        const amount = focus.previous === -1 ? this.getGridFocusAmount(focus.index) : 1;
+        return 1 - (1 - CONFIG.GRID_FOCUS_DIM) * amount;
     }
 
     // ========================================================================
-    // SLIDE MANAGEMENT
+    // ZOOM & PAN
     // ========================================================================
+    // The view magnifies the whole table around the window center and moves it
+    // in clip space. It only applies to a resting deck: transitions, jumps and
+    // the overview snap it back first.
 
-    async loadCurrentSlides() {
-        const currentSlide = this.slides[this.currentSlideIndex];
+    isZoomed() {
+        return this.getTargetView().scale > 1;
+    }
 
-        // Check if it's a grid slide or single slide
-        if (typeof currentSlide === 'object' && currentSlide.type === 'grid') {
-            // Load grid slide
-            this.currentSlideType = 'grid';
-            this.currentGridConfig = {
-                images: currentSlide.images,
-                columns: currentSlide.columns,
-                rows: currentSlide.rows
-            };
+    getTargetView() {
+        // Zooming during an animation continues from where it is heading
+        return this.viewTarget || this.view;
+    }
 
-            // Load all grid textures
-            this.currentGridTextures = [];
-            for (const imagePath of currentSlide.images) {
-                const textureData = await this.loadTexture(imagePath);
-                this.currentGridTextures.push(textureData.texture);
+    zoomAt(x, y, factor, animate = false) {
+        // Window point (x, y) stays in place
+        if (this.isAnimating || this.isOverviewOpen) return;
+
+        const view = this.getTargetView();
+        const point = this.toClip(x, y);
+        const scale = Math.min(Math.max(view.scale * factor, 1), CONFIG.ZOOM_MAX);
+        const ratio = scale / view.scale;
+        this.changeView({
+            scale: scale,
+            x: point.x - (point.x - view.x) * ratio,
+            y: point.y - (point.y - view.y) * ratio
+        }, animate);
+    }
 
-                // Store original dimensions from first image if not set
-                if (this.originalSlideWidth === 0 || this.originalSlideHeight === 0) {
-                    // For grid, use full viewport dimensions
-                    this.originalSlideWidth = window.innerWidth - (CONFIG.WINDOW_GAP * 2);
-                    this.originalSlideHeight = window.innerHeight - (CONFIG.WINDOW_GAP * 2);
-                }
-            }
+    zoomToRect(rect) {
+        // Window pixel rect fills the window, tiny ones are a slipped click
+        if (this.isAnimating || this.isOverviewOpen) return;
+        if (rect.width < CONFIG.DRAG_START_DISTANCE || rect.height < CONFIG.DRAG_START_DISTANCE) return;
+
+        const view = this.getTargetView();
+        const center = this.toClip(rect.x + rect.width / 2, rect.y + rect.height / 2);
+        const factor = Math.min(window.innerWidth / rect.width, window.innerHeight / rect.height);
+        const scale = Math.min(view.scale * factor, CONFIG.ZOOM_MAX);
+        const ratio = scale / view.scale;
+        this.changeView({
+            scale: scale,
+            x: -(center.x - view.x) * ratio,
+            y: -(center.y - view.y) * ratio
+        }, true);
+    }
 
-            this.currentTexture = null; // Grid doesn't use single texture
-        } else {
-            // Load single slide
-            this.currentSlideType = 'single';
-            this.currentGridConfig = null;
-            this.currentGridTextures = [];
+    panBy(dx, dy) {
+        // By window pixels, follows the pointer
+        if (!this.isZoomed()) return;
+        const view = this.getTargetView();
+        this.changeView({
+            scale: view.scale,
+            x: view.x + (dx / window.innerWidth) * 2,
+            y: view.y - (dy / window.innerHeight) * 2
+        }, false);
+    }
 
-            const textureData = await this.loadTexture(currentSlide);
-            this.currentTexture = textureData.texture;
+    panTo(x, y) {
+        // Moves the window point (x, y) to the center
+        if (!this.isZoomed()) return;
+        const view = this.getTargetView();
+        const point = this.toClip(x, y);
+        this.changeView({ scale: view.scale, x: view.x - point.x, y: view.y - point.y }, true);
+    }
 
-            // Store original slide dimensions from first loaded image
-            if (this.originalSlideWidth === 0 || this.originalSlideHeight === 0) {
-                this.originalSlideWidth = textureData.width;
-                this.originalSlideHeight = textureData.height;
-            }
-        }
+    resetZoom(animate = true) {
+        if (!this.isZoomed() && this.viewFrame === null) return;
+        this.changeView({ scale: 1, x: 0, y: 0 }, animate);
+    }
 
-        // Preload next slides for stack effect (only for single slides)
-        this.nextTextures = [];
-        const slidesToPreload = Math.min(CONFIG.SLIDES_TO_PRELOAD, this.getRemainingSlides());
+    changeView(target, animate) {
+        // Keeps the window covered by the zoomed table: no pan past the edges
+        const scale = Math.min(Math.max(target.scale, 1), CONFIG.ZOOM_MAX);
+        const limit = scale - 1;
+        const view = {
+            scale: scale,
+            x: Math.min(Math.max(target.x, -limit), limit),
+            y: Math.min(Math.max(target.y, -limit), limit)
+        };
 
-        for (let i = 1; i <= slidesToPreload; i++) {
-            const idx = this.currentSlideIndex + i;
-            if (idx < this.slides.length) {
-                const nextSlide = this.slides[idx];
-                // Only preload single slides for stack
-                if (typeof nextSlide === 'string') {
-                    const textureData = await this.loadTexture(nextSlide);
-                    this.nextTextures.push(textureData.texture);
-                }
-            }
+        if (this.viewFrame !== null) {
+            cancelAnimationFrame(this.viewFrame);
+            this.viewFrame = null;
+            this.viewTarget = null;
         }
-    }
 
-    async loadTexture(path) {
-        if (this.textureCache.has(path)) {
-            return this.textureCache.get(path);
+        if (animate) {
+            this.animateView(view);
+        } else {
+            this.setView(view);
         }
+    }
 
-        const response = await fetch(path);
-        const blob = await response.blob();
-        const imageBitmap = await createImageBitmap(blob);
-
-        const texture = this.device.createTexture({
-            size: [imageBitmap.width, imageBitmap.height, 1],
-            format: 'rgba8unorm',
-            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
-        });
-
-        this.device.queue.copyExternalImageToTexture(
-            { source: imageBitmap },
-            { texture: texture },
-            [imageBitmap.width, imageBitmap.height]
-        );
+    animateView(target) {
+        const from = this.view;
+        const duration = CONFIG.ZOOM_ANIMATION_DURATION;
+        const startTime = performance.now();
+        this.viewTarget = target;
 
-        const textureData = {
-            texture: texture,
-            width: imageBitmap.width,
-            height: imageBitmap.height
+        const animate = (currentTime) => {
+            const progress = duration > 0 ? Math.min((currentTime - startTime) / duration, 1) : 1;
+            const eased = easeOutCubic(progress);
+            this.setView({
+                scale: from.scale + (target.scale - from.scale) * eased,
+                x: from.x + (target.x - from.x) * eased,
+                y: from.y + (target.y - from.y) * eased
+            });
+
+            if (progress < 1) {
+                this.viewFrame = requestAnimationFrame(animate);
+            } else {
+                this.viewFrame = null;
+                this.viewTarget = null;
+            }
         };
 
-        this.textureCache.set(path, textureData);
-        return textureData;
+        this.viewFrame = requestAnimationFrame(animate);
     }
 
-    generateNextSlidePosition() {
-        // Generate random rotation
-        this.nextSlideRotation = (Math.random() - 0.5) * CONFIG.NEXT_SLIDE_ROTATION_RANGE;
-        // Generate random offsets
-        this.nextSlideOffsetX = (Math.random() - 0.5) * CONFIG.NEXT_SLIDE_OFFSET_RANGE;
-        this.nextSlideOffsetY = (Math.random() - 0.5) * CONFIG.NEXT_SLIDE_OFFSET_RANGE;
+    setView(view) {
+        this.view = view;
+        this.canvas.classList.toggle('zoomed', this.isZoomed());
+        this.render();
     }
 
-    getRemainingSlides() {
-        return this.slides.length - this.currentSlideIndex;
+    toClip(x, y) {
+        // Window pixels to clip space
+        return { x: (x / window.innerWidth) * 2 - 1, y: 1 - (y / window.innerHeight) * 2 };
     }
 
-    // ========================================================================
-    // PROGRESS MANAGEMENT
-    // ========================================================================
+    toUnzoomed(x, y) {
+        // Window pixels on the zoomed view to where they are on the table at rest
+        const view = this.view;
+        const point = this.toClip(x, y);
+        return {
+            x: (((point.x - view.x) / view.scale + 1) / 2) * window.innerWidth,
+            y: ((1 - (point.y - view.y) / view.scale) / 2) * window.innerHeight
+        };
+    }
 
-    loadProgress() {
-        const saved = this.getCookie(CONFIG.PROGRESS_COOKIE_NAME);
-        if (saved) {
-            try {
-                const state = JSON.parse(saved);
-                this.currentSlideIndex = state.current;
+    applyView(matrix) {
+        // Zooms and pans a projected clip-space transform in place
+        const { scale, x, y } = this.view;
+        if (scale === 1 && x === 0 && y === 0) return matrix;
 
-                // Validate saved state
-                if (this.currentSlideIndex >= this.slides.length) {
-                    this.currentSlideIndex = 0;
-                }
-            } catch (e) {
-                this.currentSlideIndex = 0;
-            }
-        } else {
-            this.currentSlideIndex = 0;
+        for (let column = 0; column < 16; column += 4) {
+            matrix[column] = matrix[column] * scale + x * matrix[column + 3];
+            matrix[column + 1] = matrix[column + 1] * scale + y * matrix[column + 3];
         }
+        return matrix;
     }
 
-    saveProgress() {
-        const state = {
-            current: this.currentSlideIndex
-        };
-        this.setCookie(CONFIG.PROGRESS_COOKIE_NAME, JSON.stringify(state), CONFIG.COOKIE_EXPIRY_DAYS);
+    showSelection(startX, startY, x, y) {
+        // Dashed rectangle spanned by a Shift+drag, for zooming or revealing
+        const style = this.selectionEl.style;
+        style.display = 'block';
+        style.left = `${Math.min(startX, x)}px`;
+        style.top = `${Math.min(startY, y)}px`;
+        style.width = `${Math.abs(x - startX)}px`;
+        style.height = `${Math.abs(y - startY)}px`;
+    }
+
+    hideSelection() {
+        this.selectionEl.style.display = 'none';
     }
 
     // ========================================================================
-    // ANIMATION
+    // REVEAL MODE (FOG OF WAR)
     // ========================================================================
 
-    throwSlide() {
-        this.isAnimating = true;
-        this.animationProgress = 0;
+    performRevealAction(action) {
+        // Returns false for actions that leave reveal mode and then work as usual
+        switch (action) {
+            case 'reveal':
+                this.setRevealing(false);
+                return true;
+            case 'undoReveal':
+                this.updateFog(this.currentSlideIndex, (fog) => fog.undo());
+                return true;
+            case 'revealAll':
+                this.updateFog(this.currentSlideIndex, (fog) => {
+                    fog.checkpoint();
+                    fog.revealAll();
+                });
+                return true;
+            case 'zoomIn':
+            case 'zoomOut':
+            case 'resetZoom':
+                // Zooming in on a corner of the map keeps revealing
+                return false;
+            default:
+                this.setRevealing(false);
+                return false;
+        }
+    }
 
-        // Generate random throw direction
-        const angle = Math.random() * Math.PI * 2;
-        const distance = CONFIG.THROW_DISTANCE_MIN + Math.random() * CONFIG.THROW_DISTANCE_RANGE;
-        this.throwDirection = {
-            x: Math.cos(angle) * distance,
-            y: Math.sin(angle) * distance
-        };
+    setRevealing(isRevealing) {
+        // Only for a resting slide with fog
+        if (isRevealing && (this.isAnimating || this.isOverviewOpen ||
+            !this.getFog(this.currentSlideIndex, this.currentTexture))) return;
+        if (!isRevealing && !this.isRevealing) return;
+
+        this.releaseDrag();
+        this.isRevealing = isRevealing;
+        this.revealStroke = null;
+        this.hideSelection();
+        this.revealIndicatorEl.style.display = isRevealing ? 'block' : 'none';
+        this.canvas.classList.toggle('revealing', isRevealing);
+    }
 
-        // Generate random rotation
-        this.throwRotation = (Math.random() - 0.5) * CONFIG.THROW_ROTATION_RANGE;
+    getFog(index, texture) {
+        // FogOfWar of a single slide with FOG_OF_WAR, created with the slide's first
+        // texture. Slides still loading have nothing to hide yet.
+        const config = this.getSlideConfig(index);
+        if (!config.FOG_OF_WAR || this.slides[index].type === 'grid') return null;
+        if (!texture || texture === this.placeholderTexture) return null;
+
+        const key = this.getSlideKey(index);
+        let fog = this.fogs.get(key);
+        if (!fog) {
+            fog = new FogOfWar(texture.width, texture.height, config);
+            fog.src = this.slides[index].src;
+            this.fogs.set(key, fog);
+
+            const saved = this.readStorage(this.getFogStorageKey(index));
+            if (typeof saved === 'string') {
+                fog.load(saved).then(() => this.render());
+            }
+        }
+        return fog;
+    }
 
-        this.animateThrow();
+    forgetChangedFogs(changedPaths) {
+        // Masks of slides that are gone or show another image are dropped, a changed
+        // map is sized anew and gets its saved reveal scaled onto it
+        const srcByKey = new Map(this.slides.map((slide, index) => [this.getSlideKey(index), slide.src]));
+        for (const [key, fog] of this.fogs) {
+            if (srcByKey.get(key) !== fog.src || changedPaths.includes(fog.src)) {
+                fog.destroy(this.renderer);
+                this.fogs.delete(key);
+            }
+        }
     }
 
-    animateThrow() {
-        const startTime = performance.now();
+    releaseFogTextures(path) {
+        // A mask goes off the GPU with its evicted image, the canvas keeps the reveal
+        // and undo steps and is uploaded again when the slide shows
+        for (const fog of this.fogs.values()) {
+            if (fog.src === path) {
+                fog.destroy(this.renderer);
+            }
+        }
+    }
 
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            this.animationProgress = Math.min(elapsed / CONFIG.THROW_DURATION, 1);
+    getFogMask(index, texture) {
+        const fog = this.getFog(index, texture);
+        return fog ? fog.getTexture(this.renderer) : null;
+    }
 
-            this.render();
+    updateFog(index, change) {
+        // Runs a change on the slide's fog, then saves and shows it
+        const fog = this.fogs.get(this.getSlideKey(index));
+        if (!fog || change(fog) === false) return;
+        fog.commit();
 
-            if (this.animationProgress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                this.onSlideThrowComplete();
-            }
-        };
+        // A full storage keeps the reveal for this session only, the presenter should know
+        const isSaved = this.writeStorage(this.getFogStorageKey(index), fog.toDataURL());
+        this.storageWarningEl.style.display = isSaved ? 'none' : 'block';
+        this.render();
+    }
 
-        requestAnimationFrame(animate);
+    getFogStorageKey(index) {
+        // One entry per map, a large mask cannot crowd out the others or the progress
+        return `${getDeckScopedName(CONFIG.FOG_STORAGE_KEY)}:${this.getSlideKey(index)}`;
     }
 
-    async onSlideThrowComplete() {
-        this.isAnimating = false;
+    getRevealPoint(x, y) {
+        // Window pixels to a fraction of the current slide, which rests at the center while revealing
+        const rect = this.getDeckRect(this.currentSlideIndex);
+        const point = this.toUnzoomed(x, y);
+        return { x: (point.x - rect.x) / rect.width, y: (point.y - rect.y) / rect.height };
+    }
 
-        // Save old next slide position for animation
-        const oldNextRotation = this.nextSlideRotation;
-        const oldNextOffsetX = this.nextSlideOffsetX;
-        const oldNextOffsetY = this.nextSlideOffsetY;
+    beginReveal(x, y, tool) {
+        // 'brush' uncovers along the drag, 'rect' the rectangle spanned by it
+        const fog = this.getFog(this.currentSlideIndex, this.currentTexture);
+        if (!fog) return false;
 
-        // Advance to next slide
-        this.currentSlideIndex++;
-        if (this.currentSlideIndex >= this.slides.length) {
-            this.currentSlideIndex = 0;
+        fog.checkpoint();
+        const point = this.getRevealPoint(x, y);
+        this.revealStroke = { fog, tool, from: point, last: point, startX: x, startY: y };
+        if (tool === 'brush') {
+            fog.brush(point, point);
         }
+        this.updateReveal(x, y);
+        return true;
+    }
 
-        this.saveProgress();
-        await this.loadCurrentSlides();
-
-        // Restore old values for slide-in animation
-        this.nextSlideRotation = oldNextRotation;
-        this.nextSlideOffsetX = oldNextOffsetX;
-        this.nextSlideOffsetY = oldNextOffsetY;
+    updateReveal(x, y) {
+        const stroke = this.revealStroke;
+        if (!stroke) return;
 
-        // Reset throw direction to signal slide-in mode
-        this.throwDirection = { x: 0, y: 0 };
-        this.throwRotation = 0;
+        const point = this.getRevealPoint(x, y);
+        if (stroke.tool === 'brush') {
+            stroke.fog.brush(stroke.last, point);
+            stroke.last = point;
+            this.render();
+            return;
+        }
 
-        // Start slide-in animation
-        this.isAnimating = true;
-        this.animationProgress = 0;
-        this.animateSlideIn();
+        stroke.last = point;
+        this.showSelection(stroke.startX, stroke.startY, x, y);
     }
 
-    animateSlideIn() {
-        const startTime = performance.now();
+    endReveal() {
+        const stroke = this.revealStroke;
+        if (!stroke) return;
 
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            this.animationProgress = Math.min(elapsed / CONFIG.SLIDE_IN_DURATION, 1);
+        this.revealStroke = null;
+        this.hideSelection();
+        this.updateFog(this.currentSlideIndex, (fog) => {
+            if (stroke.tool === 'rect') {
+                fog.revealRect(stroke.from, stroke.last);
+            }
+        });
+    }
 
-            this.render();
+    async revealRoomAt(x, y) {
+        const index = this.currentSlideIndex;
+        const fog = this.getFog(index, this.currentTexture);
+        if (!fog) return;
 
-            if (this.animationProgress < 1) {
-                requestAnimationFrame(animate);
+        const point = this.getRevealPoint(x, y);
+        if (point.x < 0 || point.y < 0 || point.x > 1 || point.y > 1) return;
+
+        const hasRooms = await this.loadRoomImage(index, fog);
+        this.updateFog(index, () => {
+            fog.checkpoint();
+            if (hasRooms) {
+                fog.revealRoom(point, fog.roomPixels);
             } else {
-                // Animation complete, generate new position for new next slide
-                this.isAnimating = false;
-                this.generateNextSlidePosition();
-                this.render();
+                fog.brush(point, point);
             }
-        };
+        });
+    }
 
-        requestAnimationFrame(animate);
+    async loadRoomImage(index, fog) {
+        // The slide's image, once per map. Videos and text slides uncover a brush dab instead.
+        if (fog.roomPixels) return true;
+
+        const slide = this.slides[index];
+        const path = slide.src;
+        if (slide.type === 'text' || CONFIG.VIDEO_EXTENSIONS.some(ext => path.toLowerCase().endsWith(ext))) {
+            return false;
+        }
+
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`${response.status}`);
+            }
+            const bitmap = await createImageBitmap(await response.blob());
+            fog.setRoomImage(bitmap);
+            bitmap.close();
+            return true;
+        } catch (error) {
+            console.warn(`Could not read ${path} for revealing rooms: ${error.message}`);
+            return false;
+        }
     }
 
     // ========================================================================
@@ -522,38 +3935,35 @@ class SlidePresentation {
     // ========================================================================
 
     render() {
-        const commandEncoder = this.device.createCommandEncoder();
-        const textureView = this.context.getCurrentTexture().createView();
-
-        const renderPassDescriptor = {
-            colorAttachments: [{
-                view: textureView,
-                clearValue: { r: 0, g: 0, b: 0, a: 1 },
-                loadOp: 'clear',
-                storeOp: 'store',
-            }],
-        };
+        this.updateMediaTextures();
+        this.renderer.beginFrame();
 
-        const passEncoder = commandEncoder.beginRenderPass(renderPassDescriptor);
-        passEncoder.setPipeline(this.pipeline);
-
-        // Render stack of next slides (back to front)
-        this.renderStack(passEncoder);
-
-        // Render current slide with animation
-        this.renderCurrentSlide(passEncoder);
+        if (this.isBlanked) {
+            // Nothing but the cleared screen
+        } else if (this.isOverviewOpen) {
+            this.renderOverview();
+        } else {
+            // Stack of next slides, then the current slide on top. Some transitions
+            // (deal, shuffle) draw the stack's next slide above the current one.
+            const nextAbove = this.transition !== null && this.getTransitionPose('next').above;
+            this.renderStack(nextAbove ? 1 : 0);
+            this.renderCurrentSlide();
+            if (nextAbove) {
+                this.renderStack(0, 0);
+            }
+        }
 
-        passEncoder.end();
-        this.device.queue.submit([commandEncoder.finish()]);
+        this.renderer.endFrame();
     }
 
-    renderStack(passEncoder) {
+    renderStack(first = 0, last = CONFIG.MAX_STACK_SIZE - 1) {
+        // Stack slides from `last` down to `first` (back to front), 0 is the next slide
         const remaining = this.getRemainingSlides();
         const stackSize = Math.min(CONFIG.MAX_STACK_SIZE, remaining - 1);
 
-        for (let i = stackSize - 1; i >= 0; i--) {
+        for (let i = Math.min(stackSize - 1, last); i >= first; i--) {
             if (i < this.nextTextures.length) {
-                const depth = -0.5 - (i * CONFIG.STACK_DEPTH_OFFSET);
+                const depth = -(i + 1) * CONFIG.STACK_DEPTH_OFFSET;
                 const offset = (stackSize - i) * CONFIG.STACK_POSITION_OFFSET;
                 const scale = CONFIG.STACK_BASE_SCALE + (i * CONFIG.STACK_SCALE_INCREMENT);
 
@@ -566,266 +3976,383 @@ class SlidePresentation {
                     }
                 }
 
-                let slideOffsetX = offset;
-                let slideOffsetY = -offset;
-                let slideRotation = 0;
-
-                // Special positioning for next slide (first in stack)
-                if (i === 0 && this.nextTextures.length > 0) {
-                    if (this.isAnimating) {
-                        // Animate from random position to neutral (only during slide-in)
-                        if (this.throwDirection.x === 0 && this.throwDirection.y === 0) {
-                            const eased = 1 - Math.pow(1 - this.animationProgress, 3);
-                            slideRotation = this.nextSlideRotation * (1 - eased);
-                            slideOffsetX = this.nextSlideOffsetX * (1 - eased);
-                            slideOffsetY = this.nextSlideOffsetY * (1 - eased);
-                            const brightness = CONFIG.NEXT_SLIDE_BRIGHTNESS + (1.0 - CONFIG.NEXT_SLIDE_BRIGHTNESS) * eased;
-                            opacity *= brightness;
-                        } else {
-                            // During throw, keep next slide at its position
-                            slideRotation = this.nextSlideRotation;
-                            slideOffsetX = this.nextSlideOffsetX;
-                            slideOffsetY = this.nextSlideOffsetY;
-                            opacity *= CONFIG.NEXT_SLIDE_BRIGHTNESS;
-                        }
-                    } else {
-                        // Static position: rotated, offset, and darkened
-                        slideRotation = this.nextSlideRotation;
-                        slideOffsetX = this.nextSlideOffsetX;
-                        slideOffsetY = this.nextSlideOffsetY;
-                        opacity *= CONFIG.NEXT_SLIDE_BRIGHTNESS;
-                    }
+                // The next slide (first in stack) rests rotated, offset and darkened,
+                // transitions move it
+                let pose;
+                if (i === 0) {
+                    pose = this.transition ? this.getTransitionPose('next') : this.getStackPose();
+                } else {
+                    pose = { ...CENTER_POSE, x: offset, y: -offset };
+                }
+                pose.opacity *= opacity;
+
+                const slideIndex = this.currentSlideIndex + 1 + i;
+                const slideConfig = this.getSlideConfig(slideIndex);
+                const textures = this.nextTextures[i];
+                const slideScale = scale * this.getWindowGapScale(slideConfig);
+
+                if (this.slides[slideIndex].type === 'grid') {
+                    this.cardMatrix.set(this.getPosedMatrix(pose, slideScale));
+                    this.renderMosaicCard(slideIndex, textures, depth, pose, slideScale);
+                    continue;
                 }
 
-                this.renderSlide(
-                    this.nextTextures[i],
-                    slideOffsetX,
-                    slideOffsetY,
-                    scale,
-                    slideRotation,
-                    depth,
-                    opacity,
-                    passEncoder
-                );
+                const fogMask = this.getFogMask(slideIndex, textures[0]);
+                this.renderSlide(textures[0] || this.placeholderTexture, pose, slideScale, depth, slideConfig, fogMask);
             }
         }
     }
 
-    renderCurrentSlide(passEncoder) {
+    renderMosaicCard(index, textures, depth, pose, scale) {
+        // A grid slide as a card at this.cardMatrix: its images laid out like the grid
+        this.drawCard(this.cardTexture, this.cardMatrix, pose, depth, this.displayWidth * scale, this.displayHeight * scale, this.getSlideConfig(index));
+
+        this.getMosaicCells(index, textures).forEach((cell, i) => {
+            this.renderer.drawQuad(textures[i] || this.placeholderTexture, this.placeOnCard(cell), pose.opacity, depth, pose);
+        });
+    }
+
+    getMosaicCells(index, textures) {
+        // Grid cells on a card, in card coordinates (-1..1, y up): the deck layout shrunk to the card
+        const config = this.getSlideConfig(index);
+        const card = { x: 0, y: 0, width: this.displayWidth, height: this.displayHeight };
+        const gap = config.GRID_GAP * (card.width / this.getGridArea(config).width);
+
+        return this.getGridSlots(index, card, gap, textures).map((cell, i) => {
+            const texture = textures[i];
+            const rect = texture ? fitRect(cell, texture.width / texture.height) : cell;
+            return {
+                x: ((rect.x + rect.width / 2) / card.width) * 2 - 1,
+                y: 1 - ((rect.y + rect.height / 2) / card.height) * 2,
+                width: rect.width / card.width,
+                height: rect.height / card.height
+            };
+        });
+    }
+
+    placeOnCard(cell) {
+        // this.cardMatrix * (translate(cell) * scale(cell)), column-major
+        const card = this.cardMatrix;
+        const matrix = this.transformMatrix;
+        for (let row = 0; row < 4; row++) {
+            matrix[row] = card[row] * cell.width;
+            matrix[4 + row] = card[4 + row] * cell.height;
+            matrix[8 + row] = card[8 + row];
+            matrix[12 + row] = card[row] * cell.x + card[4 + row] * cell.y + card[12 + row];
+        }
+        return matrix;
+    }
+
+    renderCurrentSlide() {
         // Handle grid slides differently
         if (this.currentSlideType === 'grid') {
-            this.renderGridSlide(passEncoder);
+            this.renderGridSlide();
             return;
         }
 
-        if (!this.currentTexture) return;
-
-        let offsetX = 0;
-        let offsetY = 0;
-        let rotation = 0;
-        let opacity = 1.0;
-
-        if (this.isAnimating) {
-            const eased = 1 - Math.pow(1 - this.animationProgress, 3);
-
-            if (this.throwDirection.x !== 0 || this.throwDirection.y !== 0) {
-                // Throw animation: current slide flying away
-                offsetX = this.throwDirection.x * eased;
-                offsetY = this.throwDirection.y * eased;
-                rotation = this.throwRotation * eased;
-                opacity = 1.0 - this.animationProgress;
-            } else {
-                // Slide-in animation: new current slide moving to center
-                offsetX = this.nextSlideOffsetX * (1 - eased);
-                offsetY = this.nextSlideOffsetY * (1 - eased);
-                rotation = this.nextSlideRotation * (1 - eased);
-                const brightness = CONFIG.NEXT_SLIDE_BRIGHTNESS + (1.0 - CONFIG.NEXT_SLIDE_BRIGHTNESS) * eased;
-                opacity = brightness;
-            }
-        }
-
-        this.renderSlide(
-            this.currentTexture,
-            offsetX,
-            offsetY,
-            1.0,
-            rotation,
-            0,
-            opacity,
-            passEncoder
-        );
+        const config = this.getSlideConfig(this.currentSlideIndex);
+        const pose = this.transition ? this.getTransitionPose('current') : this.getDragPose();
+        const fogMask = this.getFogMask(this.currentSlideIndex, this.currentTexture);
+        this.renderSlide(this.currentTexture || this.placeholderTexture, pose, this.getWindowGapScale(config), 0, config, fogMask);
     }
 
-    renderGridSlide(passEncoder) {
+    renderGridSlide() {
         if (!this.currentGridConfig || this.currentGridTextures.length === 0) return;
 
-        const { columns, rows } = this.currentGridConfig;
+        const { columns } = this.currentGridConfig;
         const totalImages = this.currentGridTextures.length;
+        const config = this.getSlideConfig(this.currentSlideIndex);
+        const cardScale = this.getWindowGapScale(config);
+        const rects = this.getGridImageRects(config);
+
+        // Leaving or held, the grid moves as a whole. Entering and going back every
+        // cell runs the transition on its own, later cells start later.
+        const phase = this.transition ? this.transition.phase : null;
+        const isStaggered = phase === 'enter' || phase === 'back';
+        const gridPose = phase ? this.getTransitionPose('current') : this.getDragPose();
+
+        // Entering, the stack's mosaic card unfolds into the grid
+        const isUnfolding = phase === 'enter';
+        let mosaic = null;
+
+        if (isUnfolding) {
+            mosaic = this.getMosaicCells(this.currentSlideIndex, this.currentGridTextures);
+
+            // The card itself fades away under its images
+            this.cardMatrix.set(this.getPosedMatrix(gridPose, cardScale));
+            const cardPose = { ...gridPose, opacity: gridPose.opacity * (1 - this.transition.progress) };
+            this.drawCard(this.cardTexture, this.cardMatrix, cardPose, 0, this.displayWidth * cardScale, this.displayHeight * cardScale, config);
+        }
 
-        // Calculate available space (full screen minus window gap)
-        const availableWidth = window.innerWidth - (CONFIG.WINDOW_GAP * 2);
-        const availableHeight = window.innerHeight - (CONFIG.WINDOW_GAP * 2);
-
-        // Calculate grid cell dimensions
-        const cellWidth = (availableWidth - (CONFIG.GRID_GAP * (columns - 1))) / columns;
-        const cellHeight = (availableHeight - (CONFIG.GRID_GAP * (rows - 1))) / rows;
-
-        // Calculate starting position (centered)
-        const gridWidth = (cellWidth * columns) + (CONFIG.GRID_GAP * (columns - 1));
-        const gridHeight = (cellHeight * rows) + (CONFIG.GRID_GAP * (rows - 1));
-        const startX = -gridWidth / 2;
-        const startY = -gridHeight / 2;
-
-        // Render each image in the grid
-        for (let i = 0; i < totalImages; i++) {
-            const col = i % columns;
-            const row = Math.floor(i / columns);
-
-            const x = startX + (col * (cellWidth + CONFIG.GRID_GAP)) + (cellWidth / 2);
-            const y = startY + (row * (cellHeight + CONFIG.GRID_GAP)) + (cellHeight / 2);
-
-            // Calculate opacity based on animation
-            let opacity = 1.0;
-            if (this.isAnimating && this.throwDirection.x === 0 && this.throwDirection.y === 0) {
-                // Grid fade-in animation
-                const delay = this.calculateGridAnimationDelay(i, totalImages, col, row);
-                const progress = Math.max(0, Math.min(1, (this.animationProgress * CONFIG.GRID_ANIMATION_DURATION - delay) / CONFIG.GRID_ANIMATION_DURATION));
-                const eased = 1 - Math.pow(1 - progress, 3);
-                opacity = eased;
-            } else if (this.isAnimating) {
-                // Throw animation - fade out
-                opacity = 1.0 - this.animationProgress;
-            }
-
-            // Calculate scale to fit cell while maintaining aspect ratio
-            const texture = this.currentGridTextures[i];
-            const textureAspect = texture.width / texture.height;
-            const cellAspect = cellWidth / cellHeight;
-
-            let renderWidth, renderHeight;
-            if (textureAspect > cellAspect) {
-                // Width-constrained
-                renderWidth = cellWidth;
-                renderHeight = cellWidth / textureAspect;
-            } else {
-                // Height-constrained
-                renderHeight = cellHeight;
-                renderWidth = cellHeight * textureAspect;
+        // Every cell finishes with the animation, later cells start later
+        const delays = rects.map((_, i) => this.calculateGridAnimationDelay(i, totalImages, i % columns, Math.floor(i / columns), config));
+        const maxDelay = Math.max(0, ...delays);
+
+        // Render each image in the grid, a focused one (and the one it replaced) last
+        const focus = this.gridFocus;
+        let order = [...rects.keys()];
+        if (focus) {
+            const raised = [focus.previous, focus.index].filter(i => i !== -1);
+            order = order.filter(i => !raised.includes(i)).concat(raised);
+        }
+        const dim = this.getGridFocusDim();
+
+        for (const i of order) {
+            let pose = gridPose;
+            let progress = 1;
+            if (isStaggered) {
+                const time = this.transition.progress * (config.GRID_ANIMATION_DURATION + maxDelay) - delays[i];
+                progress = Math.max(0, Math.min(1, time / config.GRID_ANIMATION_DURATION));
+                pose = this.getTransitionPose('current', progress);
+            }
+
+            // Images still loading fill their whole cell with a placeholder
+            const texture = this.currentGridTextures[i] || this.placeholderTexture;
+            let rect = rects[i];
+
+            if (focus) {
+                const amount = this.getGridFocusAmount(i);
+                if (amount > 0) {
+                    rect = this.lerpRect(rect, this.getGridFocusRect(i, config), amount);
+                }
+                if (i !== focus.index) {
+                    // The replaced image dims on its way back
+                    pose = { ...pose, opacity: pose.opacity * Math.max(dim, amount) };
+                }
             }
 
-            // Convert pixel dimensions to normalized coordinates
-            const scaleX = renderWidth / this.displayWidth;
-            const scaleY = renderHeight / this.displayHeight;
-            const offsetX = x / this.displayWidth;
-            const offsetY = y / this.displayHeight;
+            if (isUnfolding) {
+                // From its place on the card to its cell, both following the pose
+                this.cardMatrix.set(this.getPosedMatrix(pose, cardScale));
+                this.blendMatrix.set(this.placeOnCard(mosaic[i]));
+            }
 
-            this.renderGridCell(
-                texture,
-                offsetX,
-                offsetY,
-                scaleX,
-                scaleY,
-                0,
-                opacity,
-                passEncoder
-            );
+            const matrix = this.applyPose(this.getRectMatrix(rect), pose);
+            if (isUnfolding) {
+                this.blendFromMatrix(matrix, easeOutCubic(progress));
+            }
+            this.drawCard(texture, matrix, pose, 0, rect.width, rect.height, config);
         }
     }
 
-    calculateGridAnimationDelay(index, _total, col, row) {
-        switch (CONFIG.GRID_ANIMATION_TYPE) {
-            case 'stagger':
-                return index * CONFIG.GRID_STAGGER_DELAY;
-            case 'wave':
-                return (col + row) * CONFIG.GRID_STAGGER_DELAY;
-            case 'random':
-                return Math.random() * CONFIG.GRID_ANIMATION_DURATION * 0.5;
-            default:
-                return 0;
+    blendFromMatrix(matrix, progress) {
+        // Blends this.blendMatrix into matrix, in place. Elementwise is close enough
+        // to a proper interpolation for the small rotations of the stack.
+        for (let i = 0; i < 16; i++) {
+            matrix[i] = this.blendMatrix[i] + (matrix[i] - this.blendMatrix[i]) * progress;
         }
+        return matrix;
     }
 
-    renderGridCell(texture, offsetX, offsetY, scaleX, scaleY, depth, opacity, passEncoder) {
-        const sampler = this.device.createSampler({
-            magFilter: 'linear',
-            minFilter: 'linear',
-        });
+    getGridImageRects(config) {
+        // Where the current grid's images rest, each fitted into its slot, in window pixels
+        const textures = this.currentGridTextures;
+        const slots = this.getGridSlots(this.currentSlideIndex, this.getGridArea(config), config.GRID_GAP, textures);
+        return slots.map((cell, i) => textures[i] ? fitRect(cell, textures[i].width / textures[i].height) : cell);
+    }
 
-        const transformMatrix = this.createGridCellTransform(offsetX, offsetY, scaleX, scaleY, depth);
+    getGridFocusRect(index, config) {
+        // A focused grid image fills the whole grid area
+        const texture = this.currentGridTextures[index];
+        const area = this.getGridArea(config);
+        return texture ? fitRect(area, texture.width / texture.height) : area;
+    }
 
-        const uniformBuffer = this.device.createBuffer({
-            size: 80,
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-        });
+    lerpRect(from, to, t) {
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            width: from.width + (to.width - from.width) * t,
+            height: from.height + (to.height - from.height) * t
+        };
+    }
+
+    getGridArea(config) {
+        // Full screen minus window gap, in pixels
+        return {
+            x: config.WINDOW_GAP,
+            y: config.WINDOW_GAP,
+            width: window.innerWidth - (config.WINDOW_GAP * 2),
+            height: window.innerHeight - (config.WINDOW_GAP * 2)
+        };
+    }
 
-        const uniformData = new Float32Array(20);
-        uniformData.set(transformMatrix, 0);
-        uniformData[16] = opacity;
-        uniformData[17] = depth;
+    getGridSlots(index, area, gap, textures) {
+        // Image slots of a grid slide in area, placed by its GRID_LAYOUT (see GRID_LAYOUTS).
+        // Unknown layouts, which the generator warns about, fall back to uniform cells.
+        const slide = this.slides[index];
+        const config = this.getSlideConfig(index);
+        const layout = GRID_LAYOUTS[config.GRID_LAYOUT] || GRID_LAYOUTS.uniform;
+        const aspects = slide.images.map((_, i) => this.getGridImageAspect(slide, i, textures[i]));
+        return layout(area, gap, aspects, slide, config);
+    }
 
-        this.device.queue.writeBuffer(uniformBuffer, 0, uniformData);
+    getGridImageAspect(slide, i, texture) {
+        // A loaded image knows best, before that the manifest (videos excepted)
+        if (texture) return texture.width / texture.height;
+        const size = slide.imageSizes && slide.imageSizes[i];
+        return size ? size.width / size.height : 1;
+    }
 
-        const bindGroup = this.device.createBindGroup({
-            layout: this.pipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: uniformBuffer } },
-                { binding: 1, resource: sampler },
-                { binding: 2, resource: texture.createView() },
-            ],
-        });
+    drawRect(texture, rect, opacity, effects = null) {
+        this.renderer.drawQuad(texture, this.getRectMatrix(rect), opacity, 0, effects);
+    }
 
-        passEncoder.setBindGroup(0, bindGroup);
-        passEncoder.draw(6, 1, 0, 0);
+    getRectMatrix(rect) {
+        // Pixel rect (top left origin, y down) to the window-relative grid cell units
+        return this.createGridCellTransform(
+            (rect.x + rect.width / 2) / window.innerWidth - 0.5,
+            0.5 - (rect.y + rect.height / 2) / window.innerHeight,
+            rect.width / window.innerWidth,
+            rect.height / window.innerHeight
+        );
+    }
+
+    calculateGridAnimationDelay(index, _total, col, row, config = CONFIG) {
+        switch (config.GRID_ANIMATION_TYPE) {
+            case 'stagger':
+                return index * config.GRID_STAGGER_DELAY;
+            case 'wave':
+                return (col + row) * config.GRID_STAGGER_DELAY;
+            case 'random': {
+                // Stable per cell, this runs every frame
+                const random = Math.abs(Math.sin((index + 1) * 12.9898) * 43758.5453) % 1;
+                return random * config.GRID_ANIMATION_DURATION * 0.5;
+            }
+            default:
+                return 0;
+        }
     }
 
-    createGridCellTransform(offsetX, offsetY, scaleX, scaleY, depth) {
-        const matrix = new Float32Array(16);
-        matrix[0] = scaleX * 2;
-        matrix[5] = scaleY * 2;
+    createGridCellTransform(offsetX, offsetY, scaleX, scaleY) {
+        // Offsets and scales are fractions of the window size; the quad spans -1..1
+        const matrix = this.transformMatrix;
+        matrix.fill(0);
+        matrix[0] = scaleX;
+        matrix[5] = scaleY;
         matrix[10] = 1;
         matrix[15] = 1;
 
         matrix[12] = offsetX * 2;
         matrix[13] = offsetY * 2;
-        matrix[14] = depth;
 
         return matrix;
     }
 
-    renderSlide(texture, offsetX, offsetY, scale, rotation, depth, opacity, passEncoder) {
-        const sampler = this.device.createSampler({
-            magFilter: 'linear',
-            minFilter: 'linear',
-        });
+    renderSlide(texture, pose, scale, depth, config = CONFIG, fogMask = null) {
+        const matrix = this.getPosedMatrix(pose, scale);
+        this.drawCard(texture, matrix, pose, depth, this.displayWidth * scale, this.displayHeight * scale, config, fogMask);
+    }
+
+    drawCard(texture, matrix, pose, depth, width, height, config, fogMask = null) {
+        // A card of width x height pixels with its drop shadow, rounded corners, border and fog
+        if (config.SHADOW_OPACITY > 0 && width > 0 && height > 0) {
+            this.drawShadow(texture, matrix, pose, depth, width, height, config);
+        }
 
-        const transformMatrix = this.createTransformMatrix(offsetX, offsetY, scale, rotation, depth);
+        const effects = this.cardEffects;
+        effects.dissolve = pose.dissolve;
+        effects.width = width;
+        effects.height = height;
+        effects.radius = config.CARD_CORNER_RADIUS;
+        effects.borderWidth = config.CARD_BORDER_WIDTH;
+        effects.borderColor = this.parseColor(config.CARD_BORDER_COLOR);
+        effects.fogMask = fogMask;
+        effects.fogColor = fogMask ? this.parseColor(config.FOG_COLOR) : null;
+        this.renderer.drawQuad(texture, matrix, pose.opacity, depth, effects);
+    }
 
-        const uniformBuffer = this.device.createBuffer({
-            size: 80, // mat4x4 (64 bytes) + float (4) + float (4) + padding
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-        });
+    drawShadow(texture, matrix, pose, depth, width, height, config) {
+        // The card's quad grown by the blur and moved on screen. A lifted card
+        // casts a longer and fainter shadow.
+        const blur = config.SHADOW_BLUR;
+        const spread = 1 + Math.max(0, pose.lift) * 2;
+        const growX = (width + blur * 2) / width;
+        const growY = (height + blur * 2) / height;
+        const offsetX = (config.SHADOW_OFFSET_X * spread * this.view.scale / window.innerWidth) * 2;
+        const offsetY = -(config.SHADOW_OFFSET_Y * spread * this.view.scale / window.innerHeight) * 2;
+
+        // Offsets are added after the projection (and the zoom), so they are scaled by w
+        const shadow = this.shadowMatrix;
+        for (let row = 0; row < 4; row++) {
+            shadow[row] = matrix[row] * growX;
+            shadow[4 + row] = matrix[4 + row] * growY;
+            shadow[8 + row] = matrix[8 + row];
+            shadow[12 + row] = matrix[12 + row];
+        }
+        for (let column = 0; column < 16; column += 4) {
+            shadow[column] += offsetX * shadow[column + 3];
+            shadow[column + 1] += offsetY * shadow[column + 3];
+        }
 
-        const uniformData = new Float32Array(20);
-        uniformData.set(transformMatrix, 0);
-        uniformData[16] = opacity;
-        uniformData[17] = depth;
+        const effects = this.shadowEffects;
+        effects.shadow = blur;
+        effects.width = width + blur * 2;
+        effects.height = height + blur * 2;
+        effects.radius = config.CARD_CORNER_RADIUS;
+        const opacity = config.SHADOW_OPACITY * pose.opacity * (1 - pose.dissolve) / spread;
+        this.renderer.drawQuad(texture, shadow, opacity, depth, effects);
+    }
 
-        this.device.queue.writeBuffer(uniformBuffer, 0, uniformData);
+    parseColor(color) {
+        // '#rgb', '#rrggbb' or '#rrggbbaa' as [r, g, b, a] in 0..1, cached since cards ask every frame
+        let rgba = this.colors.get(color);
+        if (!rgba) {
+            let hex = color.replace('#', '');
+            if (hex.length <= 4) {
+                hex = hex.split('').map(digit => digit + digit).join('');
+            }
+            rgba = [0, 2, 4, 6].map(i => i < hex.length ? parseInt(hex.slice(i, i + 2), 16) / 255 : 1);
+            this.colors.set(color, rgba);
+        }
+        return rgba;
+    }
 
-        const bindGroup = this.device.createBindGroup({
-            layout: this.pipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: uniformBuffer } },
-                { binding: 1, resource: sampler },
-                { binding: 2, resource: texture.createView() },
-            ],
-        });
+    getPosedMatrix(pose, scale) {
+        // A card of the deck's slide size at the given pose
+        return this.applyPose(this.createTransformMatrix(0, 0, scale, 0), pose);
+    }
 
-        passEncoder.setBindGroup(0, bindGroup);
-        passEncoder.draw(6, 1, 0, 0);
+    applyPose(matrix, pose) {
+        // Scales, tilts, rotates, moves and lifts a clip-space transform (see TRANSITIONS),
+        // then views it through the camera, in place. The 3D part runs with the window's
+        // aspect ratio taken out of x, so turned cards keep their shape.
+        const aspect = window.innerWidth / window.innerHeight;
+        const toRadians = Math.PI / 180;
+        const cosX = Math.cos(pose.tiltX * toRadians);
+        const sinX = Math.sin(pose.tiltX * toRadians);
+        const cosY = Math.cos(pose.tiltY * toRadians);
+        const sinY = Math.sin(pose.tiltY * toRadians);
+        const cos = Math.cos(pose.rotation * toRadians);
+        const sin = Math.sin(pose.rotation * toRadians);
+        const scaleX = pose.scale * pose.scaleX * aspect;
+        const scaleY = pose.scale;
+
+        // The camera looks down at the table from CAMERA_DISTANCE, things closer to it grow
+        const perspective = CONFIG.CAMERA_PERSPECTIVE ? 1 / CONFIG.CAMERA_DISTANCE : 0;
+
+        for (let column = 0; column < 16; column += 4) {
+            const x = matrix[column] * scaleX;
+            const y = matrix[column + 1] * scaleY;
+            const z = matrix[column + 2];
+            const w = matrix[column + 3];
+
+            // Around the horizontal axis, then the vertical one, then in the screen plane
+            const tiltedY = y * cosX - z * sinX;
+            const tiltedZ = y * sinX + z * cosX;
+            const turnedX = x * cosY + tiltedZ * sinY;
+            const turnedZ = tiltedZ * cosY - x * sinY;
+            const lifted = turnedZ + pose.lift * w;
+
+            matrix[column] = (turnedX * cos - tiltedY * sin) / aspect + pose.x * w;
+            matrix[column + 1] = turnedX * sin + tiltedY * cos + pose.y * w;
+            matrix[column + 2] = lifted;
+            matrix[column + 3] = w - lifted * perspective;
+        }
+        return this.applyView(matrix);
     }
 
-    createTransformMatrix(offsetX, offsetY, scale, rotationDeg, depth) {
+    createTransformMatrix(offsetX, offsetY, scale, rotationDeg) {
         const rad = (rotationDeg * Math.PI) / 180;
         const cos = Math.cos(rad);
         const sin = Math.sin(rad);
@@ -834,33 +4361,70 @@ class SlidePresentation {
         const scaleX = (this.displayWidth / window.innerWidth) * scale;
         const scaleY = (this.displayHeight / window.innerHeight) * scale;
 
-        return new Float32Array([
-            cos * scaleX, sin * scaleX, 0, 0,
-            -sin * scaleY, cos * scaleY, 0, 0,
-            0, 0, 1, 0,
-            offsetX, offsetY, depth, 1
-        ]);
+        const matrix = this.transformMatrix;
+        matrix.fill(0);
+        matrix[0] = cos * scaleX;
+        matrix[1] = sin * scaleX;
+        matrix[4] = -sin * scaleY;
+        matrix[5] = cos * scaleY;
+        matrix[10] = 1;
+        matrix[12] = offsetX;
+        matrix[13] = offsetY;
+        matrix[15] = 1;
+
+        return matrix;
+    }
+
+    // ========================================================================
+    // DEBUG OVERLAY
+    // ========================================================================
+
+    toggleDebugOverlay() {
+        if (!this.debugOverlayEl) return;
+
+        const isVisible = this.debugOverlayEl.style.display !== 'none';
+        this.debugOverlayEl.style.display = isVisible ? 'none' : 'block';
+        this.updateDebugOverlay();
+    }
+
+    updateDebugOverlay() {
+        if (!this.debugOverlayEl || this.debugOverlayEl.style.display === 'none') return;
+
+        const stats = this.textures.getStats();
+        const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+        this.debugOverlayEl.textContent = [
+            `Renderer: ${this.renderer.name}`,
+            `Slide: ${this.currentSlideIndex + 1} / ${this.slides.length}`,
+            `Textures: ${stats.count} (${megabytes(stats.bytes)} / ${megabytes(stats.budgetBytes)} MB)`,
+            `Pinned: ${stats.pinned}, loading: ${stats.loading} (${stats.queued} queued)`,
+            `Hits: ${stats.hits}, misses: ${stats.misses}, evictions: ${stats.evictions}`
+        ].join('\n');
     }
 
     // ========================================================================
     // UTILITY METHODS
     // ========================================================================
 
-    setCookie(name, value, days) {
-        const expires = new Date();
-        expires.setTime(expires.getTime() + days * 24 * 60 * 60 * 1000);
-        document.cookie = `${name}=${value};expires=${expires.toUTCString()};path=/`;
+    readStorage(key) {
+        try {
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : null;
+        } catch (e) {
+            // Storage disabled or a corrupt entry, start fresh
+            return null;
+        }
     }
 
-    getCookie(name) {
-        const nameEQ = name + "=";
-        const ca = document.cookie.split(';');
-        for (let i = 0; i < ca.length; i++) {
-            let c = ca[i];
-            while (c.charAt(0) === ' ') c = c.substring(1, c.length);
-            if (c.indexOf(nameEQ) === 0) return c.substring(nameEQ.length, c.length);
+    writeStorage(key, value) {
+        // Returns whether the value was stored
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (e) {
+            // Storage full or disabled (private browsing), progress is not kept
+            return false;
         }
-        return null;
     }
 
     showError(message) {
@@ -874,8 +4438,15 @@ class SlidePresentation {
 // ============================================================================
 // APPLICATION INITIALIZATION
 // ============================================================================
+// presenter.html loads this file for CONFIG and InputController only
+function startPresentation() {
+    if (document.getElementById('slideCanvas')) {
+        new SlidePresentation();
+    }
+}
+
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => new SlidePresentation());
+    document.addEventListener('DOMContentLoaded', startPresentation);
 } else {
-    new SlidePresentation();
+    startPresentation();
 }
@@ -1,22 +1,472 @@
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
 
 const slidesDir = path.join(__dirname, 'slides');
 const outputFile = path.join(__dirname, 'slides.json');
 
-const imageExtensions = ['.webp', '.avif', '.jpg', '.jpeg', '.png'];
+// Multiple decks: every folder in decks/ gets its own `decks/<name>/slides.json`,
+// listed in decks.json for the deck picker. A plain slides/ folder still works.
+const decksDir = path.join(__dirname, 'decks');
+const deckIndexFile = path.join(__dirname, 'decks.json');
+const manifestName = 'slides.json';
+
+const imageExtensions = ['.webp', '.avif', '.jpg', '.jpeg', '.png', '.gif'];
+const videoExtensions = ['.mp4', '.webm'];
+
+// Image format each extension promises, checked against the file's signature
+const extensionFormats = {
+    '.webp': 'WebP',
+    '.avif': 'AVIF',
+    '.jpg': 'JPEG',
+    '.jpeg': 'JPEG',
+    '.png': 'PNG',
+    '.gif': 'GIF'
+};
+
+// Sidecar files: `<image basename>.md` next to an image, `notes.md` inside a grid folder.
+// Any other `.md` file in the slides folder becomes a text slide.
+const sidecarExtension = '.md';
+const gridSidecarName = 'notes.md';
+
+// Slide fields that sidecar front-matter cannot override
+const reservedFields = ['type', 'src', 'folder', 'images', 'columns', 'rows', 'config', 'animated', 'animatedImages', 'imageSizes', 'width', 'height'];
+
+// CONFIG overrides: `config.json` in slides/ (every slide) or in a grid folder,
+// `<image basename>.config.json` next to an image. Later files win.
+const folderConfigName = 'config.json';
+const slideConfigSuffix = '.config.json';
+
+// GRID_LAYOUT values the app knows, keep in sync with GRID_LAYOUTS in app.js
+const gridLayouts = ['uniform', 'justified', 'masonry', 'hero'];
+
+// Broken files (empty, or with a header that cannot be read) are left out of the manifest.
+// They, truncated, padded and misnamed ones are listed after generating, `--strict` then
+// exits with an error.
+let problems = [];
+
+// Dev mode: `--watch` regenerates the manifests when slides/ or decks/ change, `--serve`
+// also serves the project on `--port=<n>` and tells open decks to reload. Only this machine
+// can connect unless `--host=<address>` says otherwise, e.g. `--host=0.0.0.0` for a tablet.
+const defaultPort = 8080;
+const defaultHost = '127.0.0.1';
+const liveReloadPath = '/__live-reload';
+const watchDebounce = 150; // ms to wait for a burst of file events to settle
+
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm'
+};
 
 function isImageFile(filename) {
     const ext = path.extname(filename).toLowerCase();
     return imageExtensions.includes(ext);
 }
 
+function isVideoFile(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    return videoExtensions.includes(ext);
+}
+
+function isSlideFile(filename) {
+    return isImageFile(filename) || isVideoFile(filename);
+}
+
+function isTextSlideFile(filename, siblings) {
+    // A `.md` file is a text slide unless it is the sidecar of an image or video
+    if (path.extname(filename).toLowerCase() !== sidecarExtension) return false;
+    const basename = path.basename(filename, path.extname(filename));
+    return !siblings.some(other => isSlideFile(other) && path.basename(other, path.extname(other)) === basename);
+}
+
+function isAnimatedWebp(data) {
+    // Extended format (VP8X chunk) with the animation flag set
+    return data.length >= 21 &&
+        data.toString('ascii', 0, 4) === 'RIFF' &&
+        data.toString('ascii', 8, 12) === 'WEBP' &&
+        data.toString('ascii', 12, 16) === 'VP8X' &&
+        (data[20] & 0x02) !== 0;
+}
+
+function countGifFrames(data, limit = 2) {
+    if (data.length < 13 || data.toString('ascii', 0, 3) !== 'GIF') return 0;
+
+    // Header (6) + logical screen descriptor (7), then the optional global color table
+    let offset = 13;
+    if (data[10] & 0x80) {
+        offset += 3 * (1 << ((data[10] & 0x07) + 1));
+    }
+
+    const skipSubBlocks = () => {
+        while (offset < data.length && data[offset] !== 0) {
+            offset += data[offset] + 1;
+        }
+        offset += 1; // Block terminator
+    };
+
+    let frames = 0;
+    while (offset < data.length && frames < limit) {
+        const blockType = data[offset];
+
+        if (blockType === 0x2C) {
+            // Image descriptor, optional local color table, LZW code size, image data
+            frames++;
+            const packed = data[offset + 9];
+            offset += 10;
+            if (packed & 0x80) {
+                offset += 3 * (1 << ((packed & 0x07) + 1));
+            }
+            offset += 1;
+            skipSubBlocks();
+        } else if (blockType === 0x21) {
+            // Extension: introducer, label, data sub-blocks
+            offset += 2;
+            skipSubBlocks();
+        } else {
+            // Trailer or unreadable data
+            break;
+        }
+    }
+    return frames;
+}
+
+function readPngSize(data) {
+    // IHDR is always the first chunk
+    if (data.length < 24 || data.toString('ascii', 12, 16) !== 'IHDR') return null;
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+}
+
+function readGifSize(data) {
+    if (data.length < 10) return null;
+    return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+}
+
+function readExifOrientation(data, start, end) {
+    // Orientation tag (0x0112) of IFD0 in an APP1 Exif segment, 1 (upright) if missing
+    if (end - start < 14 || data.toString('ascii', start, start + 6) !== 'Exif\0\0') return 1;
+
+    const tiff = start + 6;
+    const byteOrder = data.toString('ascii', tiff, tiff + 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return 1;
+    const readShort = (offset) => byteOrder === 'II' ? data.readUInt16LE(offset) : data.readUInt16BE(offset);
+    const readLong = (offset) => byteOrder === 'II' ? data.readUInt32LE(offset) : data.readUInt32BE(offset);
+
+    const ifd = tiff + readLong(tiff + 4);
+    if (ifd + 2 > end) return 1;
+    const entries = readShort(ifd);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > end) break;
+        if (readShort(entry) === 0x0112) {
+            return readShort(entry + 8);
+        }
+    }
+    return 1;
+}
+
+function readJpegSize(data) {
+    // Walk the marker segments up to the first start of frame (SOF0-SOF15 without DHT, JPG and DAC).
+    // Browsers apply the Exif orientation, 5-8 turn the image by a quarter.
+    let offset = 2;
+    let orientation = 1;
+    while (offset + 9 < data.length) {
+        if (data[offset] !== 0xFF) return null;
+        const marker = data[offset + 1];
+        if (marker === 0xFF) {
+            // Fill byte
+            offset++;
+            continue;
+        }
+        const length = data.readUInt16BE(offset + 2);
+        if (marker === 0xE1) {
+            orientation = readExifOrientation(data, offset + 4, Math.min(offset + 2 + length, data.length));
+        }
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            const width = data.readUInt16BE(offset + 7);
+            const height = data.readUInt16BE(offset + 5);
+            return orientation >= 5 && orientation <= 8 ? { width: height, height: width } : { width, height };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+function readWebpSize(data) {
+    if (data.length < 30) return null;
+    const format = data.toString('ascii', 12, 16);
+    if (format === 'VP8 ') {
+        // Lossy: 14 bit dimensions after the frame tag and start code
+        return { width: data.readUInt16LE(26) & 0x3FFF, height: data.readUInt16LE(28) & 0x3FFF };
+    }
+    if (format === 'VP8L') {
+        // Lossless: two 14 bit fields, stored minus one, after the signature byte
+        const bits = data.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (format === 'VP8X') {
+        // Extended: 24 bit canvas size, stored minus one
+        return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+function readBoxes(data, start, end) {
+    // ISOBMFF boxes between start and end as { type, start, end } of their contents
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = data.readUInt32BE(offset);
+        let header = 8;
+        if (size === 1) {
+            if (offset + 16 > end) break;
+            size = Number(data.readBigUInt64BE(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header || offset + size > end) break;
+        boxes.push({ type: data.toString('ascii', offset + 4, offset + 8), start: offset + header, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+function readAvifSize(data) {
+    // Image spatial extents ('ispe') of the primary item ('pitm'), from the item properties
+    // ('ipco') that 'ipma' associates with it. An image rotation ('irot') of 90 or 270
+    // degrees swaps the sides on screen. meta, pitm, ipma and ispe start with version and flags.
+    const findBox = (boxes, type) => boxes.find(box => box.type === type);
+    const meta = findBox(readBoxes(data, 0, data.length), 'meta');
+    if (!meta) return null;
+    const metaBoxes = readBoxes(data, meta.start + 4, meta.end);
+    const pitm = findBox(metaBoxes, 'pitm');
+    const iprp = findBox(metaBoxes, 'iprp');
+    if (!pitm || !iprp || pitm.start + 4 >= pitm.end) return null;
+    const pitmIdBytes = data[pitm.start] === 0 ? 2 : 4;
+    if (pitm.start + 4 + pitmIdBytes > pitm.end) return null;
+    const primaryId = data.readUIntBE(pitm.start + 4, pitmIdBytes);
+
+    const iprpBoxes = readBoxes(data, iprp.start, iprp.end);
+    const ipco = findBox(iprpBoxes, 'ipco');
+    if (!ipco) return null;
+    const properties = readBoxes(data, ipco.start, ipco.end); // Numbered from 1 in ipma
+
+    let size = null;
+    let isTurned = false;
+    for (const ipma of iprpBoxes.filter(box => box.type === 'ipma')) {
+        if (ipma.start + 8 > ipma.end) continue;
+        const idBytes = data[ipma.start] === 0 ? 2 : 4;
+        const indexBytes = data[ipma.start + 3] & 0x01 ? 2 : 1;
+        const entries = data.readUInt32BE(ipma.start + 4);
+        let offset = ipma.start + 8;
+        for (let i = 0; i < entries && offset + idBytes + 1 <= ipma.end; i++) {
+            const itemId = data.readUIntBE(offset, idBytes);
+            const associations = data[offset + idBytes];
+            offset += idBytes + 1;
+            if (offset + associations * indexBytes > ipma.end) break;
+
+            for (let j = 0; j < associations; j++, offset += indexBytes) {
+                if (itemId !== primaryId) continue;
+                // The top bit marks essential properties
+                const index = data.readUIntBE(offset, indexBytes) & (indexBytes === 2 ? 0x7FFF : 0x7F);
+                const property = properties[index - 1];
+                if (!property) continue;
+                if (property.type === 'ispe' && property.start + 12 <= property.end) {
+                    size = { width: data.readUInt32BE(property.start + 4), height: data.readUInt32BE(property.start + 8) };
+                } else if (property.type === 'irot' && property.start < property.end) {
+                    isTurned = (data[property.start] & 0x03) % 2 === 1;
+                }
+            }
+        }
+    }
+    return size && isTurned ? { width: size.height, height: size.width } : size;
+}
+
+function detectImageFormat(data) {
+    if (data.length >= 8 && data.readUInt32BE(0) === 0x89504E47) return 'PNG';
+    if (data.length >= 6 && data.toString('ascii', 0, 3) === 'GIF') return 'GIF';
+    if (data.length >= 3 && data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) return 'JPEG';
+    if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') return 'WebP';
+    if (data.length >= 16 && data.toString('ascii', 4, 8) === 'ftyp') {
+        // Major brand and compatible brands of the file type box
+        const end = Math.min(data.readUInt32BE(0), data.length);
+        for (let offset = 8; offset + 4 <= end; offset += 4) {
+            const brand = data.toString('ascii', offset, offset + 4);
+            if (brand === 'avif' || brand === 'avis') return 'AVIF';
+        }
+    }
+    return null;
+}
+
+function findJpegEnd(data) {
+    // Offset after the end of image marker, -1 if the file stops before it. Walks the
+    // segments and the entropy-coded data of each scan, so the FFD9 of an Exif thumbnail
+    // or of the scan data is never taken for the end.
+    let offset = 2;
+    while (offset + 2 <= data.length) {
+        if (data[offset] !== 0xFF) return -1;
+        const marker = data[offset + 1];
+        if (marker === 0xD9) return offset + 2;
+        if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            // Fill byte, or a marker without a segment
+            offset += marker === 0xFF ? 1 : 2;
+            continue;
+        }
+        if (offset + 4 > data.length) return -1;
+        offset += 2 + data.readUInt16BE(offset + 2);
+        if (marker !== 0xDA) continue;
+
+        // Scan data runs up to the next marker, FF00 is an escaped FF and RST0-RST7 sit inside it
+        while (offset + 1 < data.length) {
+            const next = data[offset + 1];
+            if (data[offset] === 0xFF && next !== 0x00 && (next < 0xD0 || next > 0xD7)) break;
+            offset++;
+        }
+    }
+    return -1;
+}
+
+function getTrailingBytes(data, end) {
+    // Bytes after the end of the image, a problem for --strict only since browsers ignore them
+    return end < data.length ? `${data.length - end} bytes of trailing data` : null;
+}
+
+function checkFileEnd(data, format) {
+    // A problem with where the image data ends (truncated or followed by more data), or null
+    switch (format) {
+        case 'PNG': {
+            // Chunks: length, type, data, CRC, up to IEND
+            let offset = 8;
+            while (offset + 8 <= data.length) {
+                const end = offset + 12 + data.readUInt32BE(offset);
+                if (end > data.length) break;
+                if (data.toString('ascii', offset + 4, offset + 8) === 'IEND') {
+                    return getTrailingBytes(data, end);
+                }
+                offset = end;
+            }
+            return 'truncated PNG file';
+        }
+        case 'JPEG': {
+            // Zero or FF padding after the end of image marker is left by some encoders
+            const end = findJpegEnd(data);
+            if (end === -1) return 'truncated JPEG file';
+            const isPadding = data.subarray(end).every(byte => byte === 0x00 || byte === 0xFF);
+            return isPadding ? null : getTrailingBytes(data, end);
+        }
+        case 'WebP': {
+            // The RIFF header counts the bytes after it
+            const end = data.readUInt32LE(4) + 8;
+            return end > data.length ? 'truncated WebP file' : getTrailingBytes(data, end);
+        }
+        case 'AVIF': {
+            // Every top-level box must fit
+            let offset = 0;
+            while (offset + 8 <= data.length) {
+                let size = data.readUInt32BE(offset);
+                if (size === 1 && offset + 16 <= data.length) {
+                    size = Number(data.readBigUInt64BE(offset + 8));
+                } else if (size === 0) {
+                    size = data.length - offset;
+                }
+                if (size < 8) break;
+                offset += size;
+            }
+            return offset === data.length ? null : (offset > data.length ? 'truncated AVIF file' : getTrailingBytes(data, offset));
+        }
+        default:
+            // GIF has no reliable end marker
+            return null;
+    }
+}
+
+function readImageSize(data, format) {
+    switch (format) {
+        case 'PNG': return readPngSize(data);
+        case 'GIF': return readGifSize(data);
+        case 'JPEG': return readJpegSize(data);
+        case 'WebP': return readWebpSize(data);
+        case 'AVIF': return readAvifSize(data);
+        default: return null;
+    }
+}
+
+function inspectSlideFile(filePath) {
+    // { size, problem, isBroken } of an image or video: size from the image header
+    // (null for videos), problem describes what is wrong and isBroken whether the
+    // browser cannot show the file at all
+    const data = fs.readFileSync(filePath);
+    if (data.length === 0) {
+        return { size: null, problem: 'empty file, 0 bytes', isBroken: true };
+    }
+    if (!isImageFile(filePath)) {
+        return { size: null, problem: null, isBroken: false };
+    }
+
+    const format = detectImageFormat(data);
+    if (!format) {
+        return { size: null, problem: 'not a PNG, JPEG, WebP, AVIF or GIF image', isBroken: true };
+    }
+
+    const size = readImageSize(data, format);
+    if (!size || size.width === 0 || size.height === 0) {
+        return { size: null, problem: `corrupt ${format} header, no image size`, isBroken: true };
+    }
+    // Browsers show the rest: they go by the content, decode what is there and ignore extra bytes
+    const expected = extensionFormats[path.extname(filePath).toLowerCase()];
+    const issues = [
+        format !== expected ? `${format} image with a ${path.extname(filePath)} extension` : null,
+        checkFileEnd(data, format)
+    ].filter(Boolean);
+    return { size, problem: issues.join(', ') || null, isBroken: false };
+}
+
+function checkSlideFile(filePath) {
+    // Records any problem of the file for reportProblems(), returns its inspection
+    const inspection = inspectSlideFile(filePath);
+    if (inspection.problem) {
+        problems.push({ file: toUrlPath(filePath), problem: inspection.problem, isBroken: inspection.isBroken });
+    }
+    return inspection;
+}
+
+function reportProblems() {
+    if (problems.length === 0) return;
+
+    const broken = problems.filter(problem => problem.isBroken).length;
+    console.warn(`\n${problems.length} problem file${problems.length === 1 ? '' : 's'} (${broken} left out of the manifest):`);
+    for (const { file, problem, isBroken } of problems) {
+        console.warn(`  ${file}: ${problem}${isBroken ? ' (left out)' : ''}`);
+    }
+}
+
+function isAnimatedImage(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext !== '.gif' && ext !== '.webp') return false;
+
+    const data = fs.readFileSync(filePath);
+    return ext === '.gif' ? countGifFrames(data) > 1 : isAnimatedWebp(data);
+}
+
 function getImagesInFolder(folderPath) {
+    // Grid cells can be images, animated images or videos
     try {
         return fs.readdirSync(folderPath)
             .filter(file => {
                 const fullPath = path.join(folderPath, file);
-                return fs.statSync(fullPath).isFile() && isImageFile(file);
+                return fs.statSync(fullPath).isFile() && isSlideFile(file);
             })
             .sort(); // Sort alphabetically for consistent order
     } catch (error) {
@@ -24,6 +474,74 @@ function getImagesInFolder(folderPath) {
     }
 }
 
+function slugify(name) {
+    return name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function assignUniqueIds(slides, digitPrefix = '') {
+    // IDs are used in URLs (#/<id>), a duplicate gets a numeric suffix. All-digit
+    // ids get digitPrefix, the app would take them for slide numbers.
+    const used = new Set();
+    for (const slide of slides) {
+        const slug = slugify(String(slide.id)) || 'slide';
+        const base = /^\d+$/.test(slug) ? digitPrefix + slug : slug;
+        let id = base;
+        for (let n = 2; used.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        if (id !== base || slug !== String(slide.id)) {
+            console.warn(`  Warning: slide id "${slide.id}" changed to "${id}"`);
+        }
+        used.add(id);
+        slide.id = id;
+    }
+}
+
+function readConfig(configPath) {
+    if (!fs.existsSync(configPath)) return {};
+
+    const relativePath = path.relative(__dirname, configPath);
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${relativePath}: ${error.message}`);
+    }
+
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`${relativePath} must contain a JSON object`);
+    }
+    return config;
+}
+
+function withConfig(slide, config) {
+    if (Object.keys(config).length > 0) {
+        slide.config = config;
+    }
+    return slide;
+}
+
+function resolveGridDimensions(imageCount, config, folderName) {
+    // GRID_COLUMNS / GRID_ROWS fix the layout, the missing one is derived
+    if (!config.GRID_COLUMNS && !config.GRID_ROWS) {
+        return calculateGridDimensions(imageCount);
+    }
+
+    const columns = config.GRID_COLUMNS || Math.ceil(imageCount / config.GRID_ROWS);
+    let rows = config.GRID_ROWS || Math.ceil(imageCount / columns);
+
+    // Images past the last row would be drawn off the grid, it grows instead
+    if (columns * rows < imageCount) {
+        const needed = Math.ceil(imageCount / columns);
+        console.warn(`  Warning: ${folderName}/ has ${imageCount} images but a ${columns}x${rows} grid, using ${columns}x${needed}`);
+        rows = needed;
+    }
+    return { columns, rows };
+}
+
 function calculateGridDimensions(imageCount) {
     // Calculate optimal grid dimensions
     if (imageCount <= 1) return { columns: 1, rows: 1 };
@@ -34,44 +552,420 @@ function calculateGridDimensions(imageCount) {
     return { columns: 4, rows: Math.ceil(imageCount / 4) };
 }
 
-try {
-    const entries = fs.readdirSync(slidesDir);
+function parseFrontMatterValue(raw) {
+    const value = raw.trim();
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value !== '' && !isNaN(Number(value))) return Number(value);
+    // Strip matching surrounding quotes
+    const quoted = value.match(/^(['"])(.*)\1$/);
+    return quoted ? quoted[2] : value;
+}
+
+function parseSidecar(content, bodyField) {
+    // Optional front-matter block of `key: value` lines between `---` fences,
+    // the rest is stored in bodyField unless that is null
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    const fields = {};
+    let body = content;
+
+    if (match) {
+        for (const line of match[1].split(/\r?\n/)) {
+            const separator = line.indexOf(':');
+            if (separator === -1 || line.trim().startsWith('#')) continue;
+            const key = line.slice(0, separator).trim();
+            if (key) {
+                fields[key] = parseFrontMatterValue(line.slice(separator + 1));
+            }
+        }
+        body = content.slice(match[0].length);
+    }
+
+    const text = body.trim();
+    if (text && bodyField) {
+        fields[bodyField] = text;
+    }
+    return fields;
+}
+
+function readSidecar(sidecarPath, bodyField = 'notes') {
+    if (!fs.existsSync(sidecarPath)) return {};
+
+    const fields = parseSidecar(fs.readFileSync(sidecarPath, 'utf8'), bodyField);
+    for (const key of reservedFields) {
+        if (key in fields) {
+            console.warn(`  Warning: ignoring reserved field "${key}" in ${path.relative(__dirname, sidecarPath)}`);
+            delete fields[key];
+        }
+    }
+    return fields;
+}
+
+// Path of a file below the project as the app fetches it, `/` separated
+function toUrlPath(fullPath) {
+    return path.relative(__dirname, fullPath).split(path.sep).join('/');
+}
+
+function generateDeck(deckDir, deckOutputFile) {
+    const entries = fs.readdirSync(deckDir);
     const slides = [];
+    const prefix = toUrlPath(deckDir);
 
     // Sort entries to maintain consistent order
     entries.sort();
 
+    const rootConfig = readConfig(path.join(deckDir, folderConfigName));
+
     for (const entry of entries) {
-        const fullPath = path.join(slidesDir, entry);
+        const fullPath = path.join(deckDir, entry);
         const stat = fs.statSync(fullPath);
 
         if (stat.isDirectory()) {
             // It's a folder - create a grid slide
-            const images = getImagesInFolder(fullPath);
+            const inspections = new Map();
+            const images = getImagesInFolder(fullPath).filter(img => {
+                const inspection = checkSlideFile(path.join(fullPath, img));
+                inspections.set(img, inspection);
+                return !inspection.isBroken;
+            });
 
             if (images.length > 0) {
-                const { columns, rows } = calculateGridDimensions(images.length);
+                const config = { ...rootConfig, ...readConfig(path.join(fullPath, folderConfigName)) };
+                const { columns, rows } = resolveGridDimensions(images.length, config, entry);
+                const layout = config.GRID_LAYOUT || 'uniform';
+                if (!gridLayouts.includes(layout)) {
+                    console.warn(`  Warning: ${entry}/ has an unknown GRID_LAYOUT "${layout}", the app uses "uniform"`);
+                }
+                const metadata = readSidecar(path.join(fullPath, gridSidecarName));
+                const animatedImages = images.filter(img => isAnimatedImage(path.join(fullPath, img)));
 
-                slides.push({
+                const slide = {
+                    id: slugify(entry),
                     type: 'grid',
-                    folder: `slides/${entry}`,
-                    images: images.map(img => `slides/${entry}/${img}`),
+                    folder: `${prefix}/${entry}`,
+                    images: images.map(img => `${prefix}/${entry}/${img}`),
                     columns: columns,
-                    rows: rows
-                });
+                    rows: rows,
+                    ...metadata
+                };
+                if (animatedImages.length > 0) {
+                    slide.animatedImages = animatedImages.map(img => `${prefix}/${entry}/${img}`);
+                }
+
+                // Lets the app lay out the grid by aspect ratio before the images have loaded
+                const imageSizes = images.map(img => inspections.get(img).size);
+                if (imageSizes.some(size => size !== null)) {
+                    slide.imageSizes = imageSizes;
+                }
+                slides.push(withConfig(slide, config));
+
+                const shape = layout === 'uniform' ? `${columns}x${rows}` : layout;
+                console.log(`  Grid slide: ${entry}/ (${images.length} images, ${shape})`);
+            }
+        } else if (isSlideFile(entry)) {
+            // It's a single image or video file
+            const { size, isBroken } = checkSlideFile(fullPath);
+            if (isBroken) continue;
+
+            const basename = path.basename(entry, path.extname(entry));
+            const metadata = readSidecar(path.join(deckDir, basename + sidecarExtension));
+            const config = { ...rootConfig, ...readConfig(path.join(deckDir, basename + slideConfigSuffix)) };
+
+            const slide = {
+                id: slugify(basename),
+                type: isVideoFile(entry) ? 'video' : 'image',
+                src: `${prefix}/${entry}`,
+                ...metadata
+            };
+            if (isAnimatedImage(fullPath)) {
+                slide.animated = true;
+            }
+            if (size) {
+                // Lets the app size the deck before the first image has loaded
+                slide.width = size.width;
+                slide.height = size.height;
+            }
+            slides.push(withConfig(slide, config));
+
+            const kind = slide.type === 'video' ? 'Video' : (slide.animated ? 'Animated' : 'Single');
+            console.log(`  ${kind} slide: ${entry}`);
+        } else if (isTextSlideFile(entry, entries)) {
+            // Markdown text slide: the app draws the body, front-matter notes stay speaker notes
+            const basename = path.basename(entry, path.extname(entry));
+            const metadata = readSidecar(fullPath, null);
+            const config = { ...rootConfig, ...readConfig(path.join(deckDir, basename + slideConfigSuffix)) };
+
+            slides.push(withConfig({
+                id: slugify(basename),
+                type: 'text',
+                src: `${prefix}/${entry}`,
+                ...metadata
+            }, config));
+            console.log(`  Text slide: ${entry}`);
+        }
+    }
+
+    assignUniqueIds(slides, 'slide-');
+
+    fs.writeFileSync(deckOutputFile, JSON.stringify(slides, null, 2));
+    console.log(`\nGenerated ${toUrlPath(deckOutputFile)} with ${slides.length} slides`);
+    return slides;
+}
 
-                console.log(`  Grid slide: ${entry}/ (${images.length} images, ${columns}x${rows})`);
+function getDeckNames() {
+    if (!fs.existsSync(decksDir)) return [];
+    return fs.readdirSync(decksDir)
+        .filter(entry => fs.statSync(path.join(decksDir, entry)).isDirectory())
+        .sort();
+}
+
+function generateSlides() {
+    problems = [];
+    const deckNames = getDeckNames();
+    const decks = [];
+    if (deckNames.length === 0 || fs.existsSync(slidesDir)) {
+        const slides = generateDeck(slidesDir, outputFile);
+        decks.push({ id: 'slides', title: 'slides', manifest: toUrlPath(outputFile), slides: slides.length });
+    }
+    if (deckNames.length === 0) {
+        // A stale index would keep offering decks that are gone
+        if (fs.existsSync(deckIndexFile)) {
+            fs.unlinkSync(deckIndexFile);
+        }
+        return;
+    }
+
+    for (const name of deckNames) {
+        console.log(`\nDeck: ${name}/`);
+        const deckDir = path.join(decksDir, name);
+        const manifest = path.join(deckDir, manifestName);
+        const slides = generateDeck(deckDir, manifest);
+        decks.push({
+            id: slugify(name),
+            title: name,
+            manifest: toUrlPath(manifest),
+            slides: slides.length
+        });
+    }
+    assignUniqueIds(decks);
+
+    fs.writeFileSync(deckIndexFile, JSON.stringify(decks, null, 2));
+    console.log(`\nGenerated decks.json with ${decks.length} decks`);
+}
+
+function getWatchedDirs() {
+    return [slidesDir, decksDir].filter(dir => fs.existsSync(dir));
+}
+
+function getWatchedFolders() {
+    // The watched directories and every folder inside them
+    const folders = [];
+    const visit = (dir) => {
+        folders.push(dir);
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.isDirectory() && !entry.name.startsWith('.')) {
+                visit(path.join(dir, entry.name));
             }
-        } else if (isImageFile(entry)) {
-            // It's a single image file
-            slides.push(`slides/${entry}`);
-            console.log(`  Single slide: ${entry}`);
         }
+    };
+    getWatchedDirs().forEach(visit);
+    return folders;
+}
+
+function watchSlides(onChange) {
+    // Collects the changed paths (relative to the project, `/` separated) of a burst of events.
+    // Every folder has its own watcher, the returned function adds and removes them to match
+    // the folders there are now: call it after each regeneration to pick up new slides and decks.
+    let changed = new Set();
+    let timer = null;
+    const watchers = new Map(); // Folder -> fs.FSWatcher
+
+    const onEvent = (dir, filename) => {
+        if (filename) {
+            const filePath = path.join(dir, filename);
+            // Deck manifests are written by generateSlides() itself
+            if (!path.relative(decksDir, filePath).startsWith('..') && filename === manifestName) return;
+            changed.add(toUrlPath(filePath));
+        }
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const files = [...changed];
+            changed = new Set();
+            onChange(files);
+        }, watchDebounce);
+    };
+
+    const updateWatchers = () => {
+        const folders = new Set(getWatchedFolders());
+        for (const [dir, watcher] of watchers) {
+            if (!folders.has(dir)) {
+                watcher.close();
+                watchers.delete(dir);
+            }
+        }
+        for (const dir of folders) {
+            if (watchers.has(dir)) continue;
+            let watcher;
+            try {
+                watcher = fs.watch(dir, (eventType, filename) => onEvent(dir, filename));
+            } catch (error) {
+                // Deleted since it was listed
+                continue;
+            }
+            // Deleted before the next update
+            watcher.on('error', () => {
+                watcher.close();
+                watchers.delete(dir);
+            });
+            watchers.set(dir, watcher);
+        }
+    };
+
+    updateWatchers();
+    return updateWatchers;
+}
+
+function serveFile(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request');
+        return;
     }
+    const filePath = path.join(__dirname, pathname === '/' ? 'index.html' : pathname);
 
-    fs.writeFileSync(outputFile, JSON.stringify(slides, null, 2));
-    console.log(`\nGenerated slides.json with ${slides.length} slides`);
-} catch (error) {
-    console.error('Error generating slides.json:', error);
-    process.exit(1);
+    // Never serve anything outside the project, or hidden files like .git and .env
+    const relativePath = path.relative(__dirname, filePath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath) ||
+        relativePath.split(path.sep).some(part => part.startsWith('.')) ||
+        !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+
+    // Slides change while the deck is open, the browser must not cache them
+    const headers = {
+        'Content-Type': mimeTypes[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Cache-Control': 'no-store'
+    };
+
+    if (filePath.endsWith('.html')) {
+        // Pages pick up the live reload endpoint from this global (see app.js)
+        const script = `<script>window.LIVE_RELOAD_URL = '${liveReloadPath}';</script>`;
+        const html = fs.readFileSync(filePath, 'utf8').replace('</head>', `${script}\n</head>`);
+        res.writeHead(200, headers);
+        res.end(html);
+        return;
+    }
+
+    // Videos need range requests to seek and loop
+    const size = fs.statSync(filePath).size;
+    const range = req.headers.range && req.headers.range.match(/^bytes=(\d*)-(\d*)$/);
+    if (range && (range[1] || range[2])) {
+        const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+        const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+        if (start > end) {
+            res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+            res.end();
+            return;
+        }
+        res.writeHead(206, {
+            ...headers,
+            'Accept-Ranges': 'bytes',
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': end - start + 1
+        });
+        fs.createReadStream(filePath, { start, end }).pipe(res);
+        return;
+    }
+
+    res.writeHead(200, { ...headers, 'Accept-Ranges': 'bytes', 'Content-Length': size });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+function startServer(port, host, clients) {
+    const server = http.createServer((req, res) => {
+        if (req.url === liveReloadPath) {
+            // Server-sent events, one open response per deck
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-store',
+                'Connection': 'keep-alive'
+            });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+        serveFile(req, res);
+    });
+
+    server.on('error', (error) => {
+        console.error(`Could not start the server: ${error.message}`);
+        process.exit(1);
+    });
+    server.listen(port, host, () => {
+        const shownHost = host.includes(':') ? `[${host}]` : host;
+        console.log(`\nServing on http://${shownHost}:${port}/`);
+    });
+}
+
+function startDevMode(serve, port, host) {
+    const clients = new Set();
+
+    const regenerate = (changed) => {
+        // Keep watching after a bad file, the next save may fix it
+        try {
+            generateSlides();
+        } catch (error) {
+            console.error('Error generating slides.json:', error.message);
+            return;
+        }
+        reportProblems();
+        const message = `event: reload\ndata: ${JSON.stringify({ changed })}\n\n`;
+        for (const client of clients) {
+            client.write(message);
+        }
+    };
+
+    regenerate([]);
+    const updateWatchers = watchSlides((changed) => {
+        console.log(`\nChanged: ${changed.join(', ')}`);
+        regenerate(changed);
+        updateWatchers();
+    });
+
+    if (serve) {
+        startServer(port, host, clients);
+    }
+    console.log(`Watching ${getWatchedDirs().map(dir => `${toUrlPath(dir)}/`).join(', ')} for changes`);
+}
+
+const args = process.argv.slice(2);
+const serve = args.includes('--serve');
+const portArg = args.find(arg => arg.startsWith('--port='));
+const hostArg = args.find(arg => arg.startsWith('--host='));
+const strict = args.includes('--strict'); // Problem files fail the run, e.g. before a deploy
+
+if (serve || args.includes('--watch')) {
+    startDevMode(
+        serve,
+        portArg ? Number(portArg.slice('--port='.length)) : defaultPort,
+        hostArg ? hostArg.slice('--host='.length) : defaultHost
+    );
+} else {
+    try {
+        generateSlides();
+    } catch (error) {
+        console.error('Error generating slides.json:', error);
+        process.exit(1);
+    }
+    reportProblems();
+    if (strict && problems.length > 0) {
+        console.error('\nFailing because of --strict');
+        process.exit(1);
+    }
 }
@@ -0,0 +1,224 @@
+// ============================================================================
+// PRESENTER VIEW
+// ============================================================================
+// Runs in the window opened from the deck with the presenter key. The deck
+// stays the source of truth: this window sends navigation actions over the
+// BroadcastChannel and redraws whenever the deck reports its state.
+
+class PresenterView {
+    constructor() {
+        // DOM Elements
+        this.counterEl = document.getElementById('slide-counter');
+        this.currentEl = document.getElementById('current-preview');
+        this.nextEl = document.getElementById('next-preview');
+        this.upcomingEl = document.getElementById('upcoming');
+        this.notesEl = document.getElementById('notes');
+        this.timerEl = document.getElementById('timer');
+        this.timerToggleEl = document.getElementById('timer-toggle');
+        this.clockEl = document.getElementById('clock');
+
+        // Deck State (mirrored from the audience window)
+        this.slides = [];
+        this.currentSlideIndex = 0;
+        this.isBlanked = false;
+
+        // Timer State
+        this.timerStart = performance.now();
+        this.timerPausedAt = null;
+
+        this.init();
+    }
+
+    init() {
+        // Opened with the deck's query string, so this is the same deck's channel
+        this.channel = new BroadcastChannel(getDeckScopedName(CONFIG.PRESENTER_CHANNEL));
+        this.channel.onmessage = (e) => this.handleMessage(e.data);
+        this.channel.postMessage({ type: 'hello' });
+
+        this.input = new InputController(this, CONFIG.KEY_BINDINGS);
+        this.input.attach(null);
+
+        this.currentEl.addEventListener('click', () => this.performAction('next'));
+        for (const button of document.querySelectorAll('[data-action]')) {
+            button.addEventListener('click', () => this.performAction(button.dataset.action));
+        }
+
+        this.timerToggleEl.addEventListener('click', () => this.toggleTimer());
+        document.getElementById('timer-reset').addEventListener('click', () => this.resetTimer());
+
+        this.updateClock();
+        setInterval(() => this.updateClock(), 500);
+    }
+
+    // ========================================================================
+    // DECK SYNC
+    // ========================================================================
+
+    handleMessage(message) {
+        if (message.type !== 'state') return;
+
+        if (message.slides) {
+            this.slides = message.slides;
+        }
+        this.currentSlideIndex = message.index;
+        this.isBlanked = message.blanked;
+        this.update();
+    }
+
+    performAction(action, payload) {
+        // Opening another presenter window from here makes no sense
+        if (action === 'presenter') return;
+        this.channel.postMessage({ type: 'action', action, payload });
+    }
+
+    // ========================================================================
+    // RENDERING
+    // ========================================================================
+
+    update() {
+        if (this.slides.length === 0) return;
+
+        const index = this.currentSlideIndex;
+        this.counterEl.textContent = `Slide ${index + 1} / ${this.slides.length}`;
+        this.currentEl.classList.toggle('blanked', this.isBlanked);
+
+        this.renderPreview(this.currentEl, this.slides[index]);
+        this.renderPreview(this.nextEl, this.getSlideAhead(1));
+
+        this.upcomingEl.replaceChildren();
+        for (let i = 2; i <= CONFIG.PRESENTER_UPCOMING_COUNT + 1; i++) {
+            const preview = document.createElement('div');
+            preview.className = 'preview';
+            this.renderPreview(preview, this.getSlideAhead(i));
+            this.upcomingEl.appendChild(preview);
+        }
+
+        const notes = this.getNotes(this.slides[index]);
+        this.notesEl.textContent = notes || 'No notes for this slide.';
+    }
+
+    getSlideAhead(offset) {
+        // The slide offset steps after the current one, wrapping like the deck does
+        // (see getNextSlideIndex in app.js) but never back around to the current one
+        const index = this.currentSlideIndex + offset;
+        if (index < this.slides.length) return this.slides[index];
+        return CONFIG.WRAP_AROUND && offset < this.slides.length ? this.slides[index % this.slides.length] : null;
+    }
+
+    renderPreview(container, slide) {
+        container.replaceChildren();
+
+        if (!slide) {
+            const empty = document.createElement('span');
+            empty.className = 'empty';
+            empty.textContent = 'End of deck';
+            container.appendChild(empty);
+            return;
+        }
+
+        if (slide.type === 'grid') {
+            const grid = document.createElement('div');
+            grid.className = 'grid';
+            grid.style.gridTemplateColumns = `repeat(${slide.columns}, 1fr)`;
+            grid.style.gridTemplateRows = `repeat(${slide.rows}, 1fr)`;
+            for (const imagePath of slide.images) {
+                grid.appendChild(this.createMedia(imagePath));
+            }
+            container.appendChild(grid);
+            return;
+        }
+
+        if (slide.type === 'text') {
+            container.appendChild(this.createTextPreview(slide.src));
+            return;
+        }
+
+        const media = this.createMedia(slide.src);
+        if (media.tagName === 'IMG') {
+            media.alt = slide.alt || '';
+        }
+        container.appendChild(media);
+    }
+
+    createMedia(path) {
+        // Videos preview silently and loop, animated images play on their own
+        if (CONFIG.VIDEO_EXTENSIONS.some(ext => path.toLowerCase().endsWith(ext))) {
+            const video = document.createElement('video');
+            video.src = path;
+            video.muted = true;
+            video.loop = true;
+            video.autoplay = true;
+            video.playsInline = true;
+            return video;
+        }
+
+        const img = document.createElement('img');
+        img.src = path;
+        img.draggable = false;
+        return img;
+    }
+
+    createTextPreview(path) {
+        // The markdown source as plain text, the deck draws the styled card
+        const text = document.createElement('div');
+        text.className = 'text';
+        fetch(path)
+            .then(response => response.ok ? response.text() : Promise.reject(new Error(`${response.status}`)))
+            .then(markdown => {
+                text.textContent = markdown.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n?/, '').trim();
+            })
+            .catch(error => console.warn(`Could not load ${path}: ${error.message}`));
+        return text;
+    }
+
+    getNotes(slide) {
+        if (!slide) return '';
+        return slide.title && slide.notes ? `${slide.title}\n\n${slide.notes}` : (slide.notes || '');
+    }
+
+    // ========================================================================
+    // TIMER & CLOCK
+    // ========================================================================
+
+    toggleTimer() {
+        if (this.timerPausedAt === null) {
+            this.timerPausedAt = performance.now();
+            this.timerToggleEl.textContent = 'Resume';
+        } else {
+            this.timerStart += performance.now() - this.timerPausedAt;
+            this.timerPausedAt = null;
+            this.timerToggleEl.textContent = 'Pause';
+        }
+    }
+
+    resetTimer() {
+        this.timerStart = performance.now();
+        if (this.timerPausedAt !== null) {
+            this.timerPausedAt = this.timerStart;
+        }
+        this.updateClock();
+    }
+
+    updateClock() {
+        const now = this.timerPausedAt !== null ? this.timerPausedAt : performance.now();
+        const elapsedSeconds = Math.floor((now - this.timerStart) / 1000);
+
+        const hours = Math.floor(elapsedSeconds / 3600);
+        const minutes = Math.floor(elapsedSeconds / 60) % 60;
+        const seconds = elapsedSeconds % 60;
+        this.timerEl.textContent = [hours, minutes, seconds]
+            .map(value => String(value).padStart(2, '0'))
+            .join(':');
+
+        this.clockEl.textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+// ============================================================================
+// PRESENTER INITIALIZATION
+// ============================================================================
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => new PresenterView());
+} else {
+    new PresenterView();
+}
@@ -0,0 +1,900 @@
+// ============================================================================
+// RENDERING BACKENDS
+// ============================================================================
+// Every backend draws textured quads and exposes the same interface:
+//
+//   init()                                  Acquire the context, throws if unsupported
+//   createTexture(source)                   Upload an ImageBitmap/canvas/video, returns
+//                                           a handle with { width, height }
+//   updateTexture(texture, source)          Replace the contents with a new frame of
+//                                           the same size (video and animated slides)
+//   destroyTexture(texture)                 Release a handle from createTexture
+//   beginFrame()                            Clear the canvas
+//   drawQuad(texture, transform, opacity, depth, effects)
+//                                           Draw the unit quad (-1..1) through a
+//                                           column-major 4x4 clip-space transform.
+//                                           The transform is copied, callers may
+//                                           reuse the array for the next quad.
+//                                           `effects` is optional, see below.
+//   endFrame()                              Submit the frame
+//
+// `depth` is the z of the quad before the transform, a transform with perspective
+// (a w row) draws deeper quads smaller. No depth buffer is used: cards are layered
+// by draw order.
+//
+// Effects are read during the call and every field may be left out:
+//   dissolve                 Burns the quad away from 0 (intact) to 1 (gone)
+//   width, height            Size of the quad in pixels, the fields below need it
+//   radius                   Rounded corners in pixels
+//   borderWidth, borderColor Border inside the edge in pixels, color as [r, g, b, a] 0..1
+//   shadow                   Draws a soft dark shape instead of the texture, faded
+//                            out over this many pixels inside the quad's edge
+//   fogMask, fogColor        Covers the quad in fogColor ([r, g, b, a] 0..1) except where
+//                            fogMask, a handle from createTexture stretched over the
+//                            quad, is opaque
+
+const NO_EFFECTS = Object.freeze({
+    dissolve: 0,
+    width: 0,
+    height: 0,
+    radius: 0,
+    borderWidth: 0,
+    borderColor: [0, 0, 0, 0],
+    shadow: 0,
+    fogMask: null,
+    fogColor: [0, 0, 0, 0]
+});
+
+// Video elements report their frame size separately from their layout size
+function getSourceSize(source) {
+    if (typeof HTMLVideoElement !== 'undefined' && source instanceof HTMLVideoElement) {
+        return { width: source.videoWidth, height: source.videoHeight };
+    }
+    return { width: source.width, height: source.height };
+}
+
+// ============================================================================
+// WEBGPU BACKEND
+// ============================================================================
+// Floats per quad in the instance buffer: the Instance struct of the shader,
+// transform (16), opacity, depth, dissolve, shadow, size (2), radius,
+// borderWidth, borderColor (4) and fogColor (4)
+const WEBGPU_INSTANCE_FLOATS = 32;
+
+class WebGPURenderer {
+    constructor(canvas) {
+        this.name = 'webgpu';
+        this.canvas = canvas;
+        this.device = null;
+        this.context = null;
+        this.pipeline = null;
+
+        // Shared resources, created once
+        this.sampler = null;
+        this.frameBindGroupLayout = null;   // Instance buffer + sampler
+        this.textureBindGroupLayout = null; // One bind group per texture, cached on its handle
+        this.noFogMask = null;              // Opaque 1x1 mask for quads without fog
+
+        // Per-quad data of a frame, laid out like the Instance struct of the shader.
+        // Grows by doubling and is reused across frames.
+        this.instanceCapacity = 0;
+        this.instanceData = null;
+        this.instanceBuffer = null;
+        this.frameBindGroup = null;
+
+        // Per-frame state: quads in draw order, consecutive quads of one texture
+        // and fog mask share a draw
+        this.instanceCount = 0;
+        this.batchTextures = [];
+        this.batchFogMasks = [];
+        this.batchCounts = [];
+    }
+
+    async init() {
+        if (!navigator.gpu) {
+            throw new Error('WebGPU is not supported in this browser.');
+        }
+
+        const adapter = await navigator.gpu.requestAdapter();
+        if (!adapter) {
+            throw new Error('Failed to get WebGPU adapter');
+        }
+
+        this.device = await adapter.requestDevice();
+
+        // Acquire the context last, a canvas can only ever hold one context type
+        this.context = this.canvas.getContext('webgpu');
+
+        const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
+        this.context.configure({
+            device: this.device,
+            format: presentationFormat,
+            alphaMode: 'premultiplied',
+        });
+
+        this.sampler = this.device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear',
+        });
+
+        // WGSL and pipeline errors do not throw, they surface in an error scope
+        this.device.pushErrorScope('validation');
+        this.createPipeline(presentationFormat);
+        const error = await this.device.popErrorScope();
+        if (error) {
+            throw new Error(`WebGPU pipeline failed: ${error.message}`);
+        }
+        this.ensureInstanceCapacity(64);
+
+        const mask = this.device.createTexture({
+            size: [1, 1, 1],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+        });
+        this.device.queue.writeTexture({ texture: mask }, new Uint8Array([255, 255, 255, 255]), { bytesPerRow: 4 }, [1, 1, 1]);
+        this.noFogMask = {
+            gpuTexture: mask,
+            bindGroup: this.device.createBindGroup({
+                layout: this.textureBindGroupLayout,
+                entries: [{ binding: 0, resource: mask.createView() }],
+            }),
+            width: 1,
+            height: 1
+        };
+    }
+
+    createPipeline(format) {
+        const shaderCode = `
+            struct VertexOutput {
+                @builtin(position) position: vec4<f32>,
+                @location(0) texCoord: vec2<f32>,
+                @location(1) @interpolate(flat) opacity: f32,
+                @location(2) @interpolate(flat) dissolve: f32,
+                @location(3) @interpolate(flat) shadow: f32,
+                @location(4) @interpolate(flat) size: vec2<f32>,
+                @location(5) @interpolate(flat) radius: f32,
+                @location(6) @interpolate(flat) borderWidth: f32,
+                @location(7) @interpolate(flat) borderColor: vec4<f32>,
+                @location(8) @interpolate(flat) fogColor: vec4<f32>,
+            }
+
+            struct Instance {
+                transform: mat4x4<f32>,
+                opacity: f32,
+                depth: f32,
+                dissolve: f32,
+                shadow: f32,
+                size: vec2<f32>,
+                radius: f32,
+                borderWidth: f32,
+                borderColor: vec4<f32>,
+                fogColor: vec4<f32>,
+            }
+
+            // Width of the glowing edge of a dissolve, in noise units
+            const BURN_WIDTH: f32 = 0.08;
+            const BURN_COLOR = vec3<f32>(1.0, 0.45, 0.1);
+
+            @group(0) @binding(0) var<storage, read> instances: array<Instance>;
+            @group(0) @binding(1) var textureSampler: sampler;
+            @group(1) @binding(0) var textureData: texture_2d<f32>;
+            @group(2) @binding(0) var fogMask: texture_2d<f32>;
+
+            @vertex
+            fn vs_main(
+                @builtin(vertex_index) vertexIndex: u32,
+                @builtin(instance_index) instanceIndex: u32
+            ) -> VertexOutput {
+                var pos = array<vec2<f32>, 6>(
+                    vec2<f32>(-1.0, -1.0),
+                    vec2<f32>(1.0, -1.0),
+                    vec2<f32>(1.0, 1.0),
+                    vec2<f32>(-1.0, -1.0),
+                    vec2<f32>(1.0, 1.0),
+                    vec2<f32>(-1.0, 1.0)
+                );
+
+                var texCoord = array<vec2<f32>, 6>(
+                    vec2<f32>(0.0, 1.0),
+                    vec2<f32>(1.0, 1.0),
+                    vec2<f32>(1.0, 0.0),
+                    vec2<f32>(0.0, 1.0),
+                    vec2<f32>(1.0, 0.0),
+                    vec2<f32>(0.0, 0.0)
+                );
+
+                let instance = instances[instanceIndex];
+                var output: VertexOutput;
+                let transformed = instance.transform * vec4<f32>(pos[vertexIndex], instance.depth, 1.0);
+                // Layering is done by draw order, keep z inside the clip volume
+                output.position = vec4<f32>(transformed.xy, 0.5 * transformed.w, transformed.w);
+                output.texCoord = texCoord[vertexIndex];
+                output.opacity = instance.opacity;
+                output.dissolve = instance.dissolve;
+                output.shadow = instance.shadow;
+                output.size = instance.size;
+                output.radius = instance.radius;
+                output.borderWidth = instance.borderWidth;
+                output.borderColor = instance.borderColor;
+                output.fogColor = instance.fogColor;
+                return output;
+            }
+
+            fn hash(p: vec2<f32>) -> f32 {
+                return fract(sin(dot(p, vec2<f32>(12.9898, 78.233))) * 43758.5453);
+            }
+
+            // Smooth value noise in 0..1
+            fn noise(p: vec2<f32>) -> f32 {
+                let cell = floor(p);
+                let f = fract(p);
+                let u = f * f * (3.0 - 2.0 * f);
+                return mix(
+                    mix(hash(cell), hash(cell + vec2<f32>(1.0, 0.0)), u.x),
+                    mix(hash(cell + vec2<f32>(0.0, 1.0)), hash(cell + vec2<f32>(1.0, 1.0)), u.x),
+                    u.y
+                );
+            }
+
+            // Signed distance to a rounded rectangle around the origin, negative inside
+            fn roundedBoxDistance(p: vec2<f32>, halfSize: vec2<f32>, radius: f32) -> f32 {
+                let q = abs(p) - halfSize + vec2<f32>(radius);
+                return length(max(q, vec2<f32>(0.0))) + min(max(q.x, q.y), 0.0) - radius;
+            }
+
+            @fragment
+            fn fs_main(input: VertexOutput) -> @location(0) vec4<f32> {
+                var color = textureSample(textureData, textureSampler, input.texCoord);
+
+                // Fog of war: a cloudy cover wherever the mask is not revealed
+                let revealed = textureSample(fogMask, textureSampler, input.texCoord).a;
+                let clouds = 0.85 + 0.3 * noise(input.texCoord * 12.0);
+                color = mix(color, vec4<f32>(input.fogColor.rgb * clouds, 1.0), (1.0 - revealed) * input.fogColor.a);
+
+                // Card shape in pixels, only for quads given a size
+                var cardDistance = -1.0e6;
+                if (input.size.x > 0.0) {
+                    let halfSize = input.size * 0.5 - vec2<f32>(input.shadow);
+                    let radius = min(input.radius, min(halfSize.x, halfSize.y));
+                    cardDistance = roundedBoxDistance((input.texCoord - 0.5) * input.size, halfSize, radius);
+                }
+
+                // Shadow: the shape faded out over the blur, without the texture
+                if (input.shadow > 0.0) {
+                    return vec4<f32>(0.0, 0.0, 0.0, input.opacity * (1.0 - smoothstep(-input.shadow, input.shadow, cardDistance)));
+                }
+
+                // Dissolve: pixels below the threshold are gone, the ones just above glow
+                let n = noise(input.texCoord * 6.0) * 0.7 + noise(input.texCoord * 24.0) * 0.3;
+                let threshold = input.dissolve * (1.0 + BURN_WIDTH) - BURN_WIDTH;
+                if (n < threshold) {
+                    discard;
+                }
+                let glow = 1.0 - smoothstep(0.0, BURN_WIDTH, n - threshold);
+
+                // Border inside the edge, then an antialiased edge of about a pixel
+                let border = select(0.0, clamp(cardDistance + input.borderWidth + 0.5, 0.0, 1.0), input.borderWidth > 0.0) * input.borderColor.a;
+                let edge = clamp(0.5 - cardDistance, 0.0, 1.0);
+                let rgb = mix(mix(color.rgb, input.borderColor.rgb, border), BURN_COLOR, glow);
+                return vec4<f32>(rgb, mix(color.a, 1.0, border) * edge * input.opacity);
+            }
+        `;
+
+        const shaderModule = this.device.createShaderModule({ code: shaderCode });
+
+        this.frameBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } },
+                { binding: 1, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'filtering' } },
+            ],
+        });
+        this.textureBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+            ],
+        });
+
+        this.pipeline = this.device.createRenderPipeline({
+            layout: this.device.createPipelineLayout({
+                // The fog mask is a texture like any other
+                bindGroupLayouts: [this.frameBindGroupLayout, this.textureBindGroupLayout, this.textureBindGroupLayout],
+            }),
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vs_main',
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: 'fs_main',
+                targets: [{
+                    format: format,
+                    blend: {
+                        color: {
+                            srcFactor: 'src-alpha',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add',
+                        },
+                        alpha: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add',
+                        },
+                    },
+                }],
+            },
+            primitive: {
+                topology: 'triangle-list',
+            },
+        });
+    }
+
+    ensureInstanceCapacity(count) {
+        if (count <= this.instanceCapacity) return;
+
+        let capacity = Math.max(this.instanceCapacity, 1);
+        while (capacity < count) {
+            capacity *= 2;
+        }
+
+        const data = new Float32Array(capacity * WEBGPU_INSTANCE_FLOATS);
+        if (this.instanceData) {
+            data.set(this.instanceData);
+        }
+        if (this.instanceBuffer) {
+            this.instanceBuffer.destroy();
+        }
+
+        this.instanceCapacity = capacity;
+        this.instanceData = data;
+        this.instanceBuffer = this.device.createBuffer({
+            size: capacity * WEBGPU_INSTANCE_FLOATS * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        this.frameBindGroup = this.device.createBindGroup({
+            layout: this.frameBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: this.instanceBuffer } },
+                { binding: 1, resource: this.sampler },
+            ],
+        });
+    }
+
+    createTexture(source) {
+        const { width, height } = getSourceSize(source);
+        const gpuTexture = this.device.createTexture({
+            size: [width, height, 1],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+
+        const texture = {
+            gpuTexture: gpuTexture,
+            bindGroup: this.device.createBindGroup({
+                layout: this.textureBindGroupLayout,
+                entries: [{ binding: 0, resource: gpuTexture.createView() }],
+            }),
+            width: width,
+            height: height
+        };
+
+        this.updateTexture(texture, source);
+        return texture;
+    }
+
+    updateTexture(texture, source) {
+        this.device.queue.copyExternalImageToTexture(
+            { source: source },
+            { texture: texture.gpuTexture },
+            [texture.width, texture.height]
+        );
+    }
+
+    destroyTexture(texture) {
+        texture.gpuTexture.destroy();
+    }
+
+    beginFrame() {
+        this.instanceCount = 0;
+        this.batchTextures.length = 0;
+        this.batchFogMasks.length = 0;
+        this.batchCounts.length = 0;
+    }
+
+    drawQuad(texture, transform, opacity, depth, effects = null) {
+        // Only recorded here, endFrame uploads all quads and draws them in order
+        this.ensureInstanceCapacity(this.instanceCount + 1);
+
+        const fx = effects || NO_EFFECTS;
+        const data = this.instanceData;
+        const offset = this.instanceCount * WEBGPU_INSTANCE_FLOATS;
+        data.set(transform, offset);
+        data[offset + 16] = opacity;
+        data[offset + 17] = depth;
+        data[offset + 18] = fx.dissolve || 0;
+        data[offset + 19] = fx.shadow || 0;
+        data[offset + 20] = fx.width || 0;
+        data[offset + 21] = fx.height || 0;
+        data[offset + 22] = fx.radius || 0;
+        data[offset + 23] = fx.borderWidth || 0;
+        data.set(fx.borderColor || NO_EFFECTS.borderColor, offset + 24);
+        data.set(fx.fogColor || NO_EFFECTS.fogColor, offset + 28);
+        this.instanceCount++;
+
+        const fogMask = fx.fogMask || this.noFogMask;
+        const lastBatch = this.batchTextures.length - 1;
+        if (lastBatch >= 0 && this.batchTextures[lastBatch] === texture && this.batchFogMasks[lastBatch] === fogMask) {
+            this.batchCounts[lastBatch]++;
+        } else {
+            this.batchTextures.push(texture);
+            this.batchFogMasks.push(fogMask);
+            this.batchCounts.push(1);
+        }
+    }
+
+    endFrame() {
+        if (this.instanceCount > 0) {
+            this.device.queue.writeBuffer(this.instanceBuffer, 0, this.instanceData, 0, this.instanceCount * WEBGPU_INSTANCE_FLOATS);
+        }
+
+        const commandEncoder = this.device.createCommandEncoder();
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.context.getCurrentTexture().createView(),
+                clearValue: { r: 0, g: 0, b: 0, a: 1 },
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+        });
+
+        passEncoder.setPipeline(this.pipeline);
+        passEncoder.setBindGroup(0, this.frameBindGroup);
+
+        let firstInstance = 0;
+        for (let i = 0; i < this.batchTextures.length; i++) {
+            passEncoder.setBindGroup(1, this.batchTextures[i].bindGroup);
+            passEncoder.setBindGroup(2, this.batchFogMasks[i].bindGroup);
+            passEncoder.draw(6, this.batchCounts[i], 0, firstInstance);
+            firstInstance += this.batchCounts[i];
+        }
+
+        passEncoder.end();
+        this.device.queue.submit([commandEncoder.finish()]);
+    }
+}
+
+// ============================================================================
+// WEBGL2 BACKEND
+// ============================================================================
+class WebGL2Renderer {
+    constructor(canvas) {
+        this.name = 'webgl2';
+        this.canvas = canvas;
+        this.gl = null;
+        this.program = null;
+        this.uniforms = null;
+        this.vertexArray = null;
+        this.noFogMask = null; // Opaque 1x1 mask for quads without fog
+    }
+
+    async init() {
+        const gl = this.canvas.getContext('webgl2', { premultipliedAlpha: true, antialias: true });
+        if (!gl) {
+            throw new Error('WebGL2 is not supported in this browser.');
+        }
+        this.gl = gl;
+
+        // Same quad and texture coordinates as the WebGPU shader
+        const vertexSource = `#version 300 es
+            uniform mat4 uTransform;
+            uniform float uDepth;
+            out vec2 vTexCoord;
+
+            const vec2 POSITIONS[6] = vec2[6](
+                vec2(-1.0, -1.0), vec2(1.0, -1.0), vec2(1.0, 1.0),
+                vec2(-1.0, -1.0), vec2(1.0, 1.0), vec2(-1.0, 1.0)
+            );
+            const vec2 TEX_COORDS[6] = vec2[6](
+                vec2(0.0, 1.0), vec2(1.0, 1.0), vec2(1.0, 0.0),
+                vec2(0.0, 1.0), vec2(1.0, 0.0), vec2(0.0, 0.0)
+            );
+
+            void main() {
+                vec4 transformed = uTransform * vec4(POSITIONS[gl_VertexID], uDepth, 1.0);
+                // Layering is done by draw order, keep z inside the clip volume
+                gl_Position = vec4(transformed.xy, 0.0, transformed.w);
+                vTexCoord = TEX_COORDS[gl_VertexID];
+            }
+        `;
+
+        // Same card shape, shadow, fog and dissolve as the WebGPU shader
+        const fragmentSource = `#version 300 es
+            precision highp float;
+            uniform sampler2D uTexture;
+            uniform sampler2D uFogMask;
+            uniform vec4 uFogColor;
+            uniform float uOpacity;
+            uniform float uDissolve;
+            uniform float uShadow;
+            uniform vec2 uSize;
+            uniform float uRadius;
+            uniform float uBorderWidth;
+            uniform vec4 uBorderColor;
+            in vec2 vTexCoord;
+            out vec4 fragColor;
+
+            const float BURN_WIDTH = 0.08;
+            const vec3 BURN_COLOR = vec3(1.0, 0.45, 0.1);
+
+            float hash(vec2 p) {
+                return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+            }
+
+            float noise(vec2 p) {
+                vec2 cell = floor(p);
+                vec2 f = fract(p);
+                vec2 u = f * f * (3.0 - 2.0 * f);
+                return mix(
+                    mix(hash(cell), hash(cell + vec2(1.0, 0.0)), u.x),
+                    mix(hash(cell + vec2(0.0, 1.0)), hash(cell + vec2(1.0, 1.0)), u.x),
+                    u.y
+                );
+            }
+
+            float roundedBoxDistance(vec2 p, vec2 halfSize, float radius) {
+                vec2 q = abs(p) - halfSize + vec2(radius);
+                return length(max(q, vec2(0.0))) + min(max(q.x, q.y), 0.0) - radius;
+            }
+
+            void main() {
+                vec4 color = texture(uTexture, vTexCoord);
+
+                float revealed = texture(uFogMask, vTexCoord).a;
+                float clouds = 0.85 + 0.3 * noise(vTexCoord * 12.0);
+                color = mix(color, vec4(uFogColor.rgb * clouds, 1.0), (1.0 - revealed) * uFogColor.a);
+
+                float cardDistance = -1.0e6;
+                if (uSize.x > 0.0) {
+                    vec2 halfSize = uSize * 0.5 - vec2(uShadow);
+                    float radius = min(uRadius, min(halfSize.x, halfSize.y));
+                    cardDistance = roundedBoxDistance((vTexCoord - 0.5) * uSize, halfSize, radius);
+                }
+
+                if (uShadow > 0.0) {
+                    fragColor = vec4(0.0, 0.0, 0.0, uOpacity * (1.0 - smoothstep(-uShadow, uShadow, cardDistance)));
+                    return;
+                }
+
+                float n = noise(vTexCoord * 6.0) * 0.7 + noise(vTexCoord * 24.0) * 0.3;
+                float threshold = uDissolve * (1.0 + BURN_WIDTH) - BURN_WIDTH;
+                if (n < threshold) {
+                    discard;
+                }
+                float glow = 1.0 - smoothstep(0.0, BURN_WIDTH, n - threshold);
+
+                float border = (uBorderWidth > 0.0 ? clamp(cardDistance + uBorderWidth + 0.5, 0.0, 1.0) : 0.0) * uBorderColor.a;
+                float edge = clamp(0.5 - cardDistance, 0.0, 1.0);
+                vec3 rgb = mix(mix(color.rgb, uBorderColor.rgb, border), BURN_COLOR, glow);
+                fragColor = vec4(rgb, mix(color.a, 1.0, border) * edge * uOpacity);
+            }
+        `;
+
+        this.program = this.createProgram(vertexSource, fragmentSource);
+        this.uniforms = {
+            transform: gl.getUniformLocation(this.program, 'uTransform'),
+            depth: gl.getUniformLocation(this.program, 'uDepth'),
+            opacity: gl.getUniformLocation(this.program, 'uOpacity'),
+            dissolve: gl.getUniformLocation(this.program, 'uDissolve'),
+            shadow: gl.getUniformLocation(this.program, 'uShadow'),
+            size: gl.getUniformLocation(this.program, 'uSize'),
+            radius: gl.getUniformLocation(this.program, 'uRadius'),
+            borderWidth: gl.getUniformLocation(this.program, 'uBorderWidth'),
+            borderColor: gl.getUniformLocation(this.program, 'uBorderColor'),
+            fogMask: gl.getUniformLocation(this.program, 'uFogMask'),
+            fogColor: gl.getUniformLocation(this.program, 'uFogColor'),
+            texture: gl.getUniformLocation(this.program, 'uTexture'),
+        };
+
+        // Vertices come from gl_VertexID, the vertex array only has to exist
+        this.vertexArray = gl.createVertexArray();
+
+        this.noFogMask = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.noFogMask);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]));
+
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    createProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Failed to compile WebGL2 shader: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Failed to link WebGL2 program: ${gl.getProgramInfoLog(program)}`);
+        }
+        return program;
+    }
+
+    createTexture(source) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        const { width, height } = getSourceSize(source);
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        return {
+            glTexture: texture,
+            width: width,
+            height: height
+        };
+    }
+
+    updateTexture(texture, source) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, texture.glTexture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    }
+
+    destroyTexture(texture) {
+        this.gl.deleteTexture(texture.glTexture);
+    }
+
+    beginFrame() {
+        const gl = this.gl;
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.useProgram(this.program);
+        gl.bindVertexArray(this.vertexArray);
+    }
+
+    drawQuad(texture, transform, opacity, depth, effects = null) {
+        const gl = this.gl;
+        const fx = effects || NO_EFFECTS;
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture.glTexture);
+        gl.uniform1i(this.uniforms.texture, 0);
+        gl.uniformMatrix4fv(this.uniforms.transform, false, transform);
+        gl.uniform1f(this.uniforms.opacity, opacity);
+        gl.uniform1f(this.uniforms.depth, depth);
+        gl.uniform1f(this.uniforms.dissolve, fx.dissolve || 0);
+        gl.uniform1f(this.uniforms.shadow, fx.shadow || 0);
+        gl.uniform2f(this.uniforms.size, fx.width || 0, fx.height || 0);
+        gl.uniform1f(this.uniforms.radius, fx.radius || 0);
+        gl.uniform1f(this.uniforms.borderWidth, fx.borderWidth || 0);
+        gl.uniform4fv(this.uniforms.borderColor, fx.borderColor || NO_EFFECTS.borderColor);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, fx.fogMask ? fx.fogMask.glTexture : this.noFogMask);
+        gl.uniform1i(this.uniforms.fogMask, 1);
+        gl.uniform4fv(this.uniforms.fogColor, fx.fogColor || NO_EFFECTS.fogColor);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    endFrame() {
+        // The browser presents the drawing buffer on its own
+    }
+}
+
+// ============================================================================
+// CANVAS2D BACKEND
+// ============================================================================
+class Canvas2DRenderer {
+    constructor(canvas) {
+        this.name = 'canvas2d';
+        this.canvas = canvas;
+        this.ctx = null;
+        this.fogCanvas = null; // Scratch canvas the fog is cut out on
+    }
+
+    async init() {
+        this.ctx = this.canvas.getContext('2d');
+        if (!this.ctx) {
+            throw new Error('Canvas2D is not supported in this browser.');
+        }
+    }
+
+    createTexture(source) {
+        // The image itself is the texture
+        const { width, height } = getSourceSize(source);
+        return {
+            image: source,
+            width: width,
+            height: height
+        };
+    }
+
+    updateTexture(texture, source) {
+        // Videos draw their current frame, animated images swap bitmaps
+        texture.image = source;
+    }
+
+    destroyTexture(texture) {
+        if (typeof texture.image.close === 'function') {
+            texture.image.close();
+        }
+    }
+
+    beginFrame() {
+        const ctx = this.ctx;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+    }
+
+    drawQuad(texture, transform, opacity, depth, effects = null) {
+        const ctx = this.ctx;
+        const halfWidth = this.canvas.width / 2;
+        const halfHeight = this.canvas.height / 2;
+        const fx = effects || NO_EFFECTS;
+
+        // No perspective on a 2D canvas: the quad is divided by its w at the center
+        const w = transform[11] * depth + transform[15];
+        if (w <= 0) return;
+        const x = (transform[8] * depth + transform[12]) / w;
+        const y = (transform[9] * depth + transform[13]) / w;
+
+        // Map the 2D part of the clip-space transform to canvas pixels. The image
+        // is drawn into (-1..1) with its top row at y = -1, so the y axis of the
+        // quad is flipped to keep the image upright.
+        ctx.setTransform(
+            halfWidth * transform[0] / w,
+            -halfHeight * transform[1] / w,
+            -halfWidth * transform[4] / w,
+            halfHeight * transform[5] / w,
+            halfWidth * (x + 1),
+            halfHeight * (1 - y)
+        );
+        // No per-pixel effects here: a dissolve fades out instead
+        ctx.globalAlpha = Math.max(0, Math.min(1, opacity * (1 - (fx.dissolve || 0))));
+
+        if (!fx.width || !fx.height) {
+            this.drawImage(texture, fx);
+            return;
+        }
+
+        const shadow = fx.shadow || 0;
+        const radius = Math.max(0, Math.min(fx.radius || 0, fx.width / 2 - shadow, fx.height / 2 - shadow));
+        if (shadow > 0) {
+            // Without a blur: the shadow gets a hard edge halfway through its fade
+            ctx.fillStyle = '#000';
+            ctx.beginPath();
+            this.traceCardShape(fx, shadow / 2, radius);
+            ctx.fill();
+            return;
+        }
+
+        ctx.save();
+        ctx.beginPath();
+        this.traceCardShape(fx, 0, radius);
+        ctx.clip();
+        this.drawImage(texture, fx);
+
+        if (fx.borderWidth > 0 && fx.borderColor) {
+            const [r, g, b, a] = fx.borderColor;
+            ctx.fillStyle = `rgba(${r * 255}, ${g * 255}, ${b * 255}, ${a})`;
+            // The clipped outline is still the current path, the inner one cuts the ring out
+            this.traceCardShape(fx, fx.borderWidth, Math.max(0, radius - fx.borderWidth));
+            ctx.fill('evenodd');
+        }
+        ctx.restore();
+    }
+
+    drawImage(texture, fx) {
+        this.ctx.drawImage(texture.image, -1, -1, 2, 2);
+        if (!fx.fogMask) return;
+
+        // Fog without the revealed parts of the mask, drawn over the image (no clouds here)
+        const mask = fx.fogMask.image;
+        if (!this.fogCanvas) {
+            this.fogCanvas = document.createElement('canvas');
+        }
+        const fog = this.fogCanvas;
+        if (fog.width !== mask.width || fog.height !== mask.height) {
+            fog.width = mask.width;
+            fog.height = mask.height;
+        }
+
+        const fogCtx = fog.getContext('2d');
+        const [r, g, b, a] = fx.fogColor || NO_EFFECTS.fogColor;
+        fogCtx.globalCompositeOperation = 'copy';
+        fogCtx.fillStyle = `rgba(${r * 255}, ${g * 255}, ${b * 255}, ${a})`;
+        fogCtx.fillRect(0, 0, fog.width, fog.height);
+        fogCtx.globalCompositeOperation = 'destination-out';
+        fogCtx.drawImage(mask, 0, 0);
+        this.ctx.drawImage(fog, -1, -1, 2, 2);
+    }
+
+    traceCardShape(fx, inset, radius) {
+        // Rounded rect inside the quad (-1..1), both in pixels of the quad's size
+        const ctx = this.ctx;
+        const unitX = 2 / fx.width;
+        const unitY = 2 / fx.height;
+        const left = -1 + inset * unitX;
+        const top = -1 + inset * unitY;
+        const rx = radius * unitX;
+        const ry = radius * unitY;
+        if (ctx.roundRect) {
+            ctx.roundRect(left, top, -2 * left, -2 * top, { x: rx, y: ry });
+            return;
+        }
+
+        // Older browsers (Safari before 16, Firefox before 112): the corners as quarter ellipses
+        const quarter = Math.PI / 2;
+        ctx.moveTo(left + rx, top);
+        ctx.lineTo(-left - rx, top);
+        ctx.ellipse(-left - rx, top + ry, rx, ry, 0, -quarter, 0);
+        ctx.lineTo(-left, -top - ry);
+        ctx.ellipse(-left - rx, -top - ry, rx, ry, 0, 0, quarter);
+        ctx.lineTo(left + rx, -top);
+        ctx.ellipse(left + rx, -top - ry, rx, ry, 0, quarter, 2 * quarter);
+        ctx.lineTo(left, top + ry);
+        ctx.ellipse(left + rx, top + ry, rx, ry, 0, 2 * quarter, 3 * quarter);
+        ctx.closePath();
+    }
+
+    endFrame() {
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.globalAlpha = 1;
+    }
+}
+
+// ============================================================================
+// BACKEND SELECTION
+// ============================================================================
+const RENDERER_BACKENDS = {
+    webgpu: WebGPURenderer,
+    webgl2: WebGL2Renderer,
+    canvas2d: Canvas2DRenderer,
+};
+
+// Returns the first backend in `order` that initializes successfully. A canvas keeps
+// the first context type it hands out, so a backend failing after getContext leaves
+// the next one a fresh copy of the canvas (read the result's canvas afterwards).
+async function createRenderer(canvas, order) {
+    const failures = [];
+
+    for (const name of order) {
+        const Backend = RENDERER_BACKENDS[name];
+        if (!Backend) {
+            failures.push(`Unknown renderer "${name}".`);
+            continue;
+        }
+
+        try {
+            const renderer = new Backend(canvas);
+            await renderer.init();
+            return renderer;
+        } catch (error) {
+            failures.push(`${name}: ${error.message}`);
+            const fresh = canvas.cloneNode(false);
+            canvas.replaceWith(fresh);
+            canvas = fresh;
+        }
+    }
+
+    throw new Error(`No supported renderer available. ${failures.join(' ')}`);
+}